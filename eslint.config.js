@@ -0,0 +1,24 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: globals.browser
+    },
+    rules: {
+      // Keys destructured out to leave them behind, and errors that are
+      // caught only to fall back, are deliberate
+      'no-unused-vars': ['error', { ignoreRestSiblings: true, caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: globals.node
+    }
+  }
+];
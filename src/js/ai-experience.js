@@ -0,0 +1,228 @@
+/**
+ * ai-experience.js
+ * `<ai-experience>` wraps Experience for embedding in a card or hero block
+ * on any page. The scene is sized to the element's own box and takes
+ * pointer input relative to it; the element's children are the sections
+ * (matched by the manifest's selectors) and scroll inside it over the
+ * canvas. When the element grows with its content instead, the canvas
+ * stays in a screen-high box pinned to the top of the view. Without matching children, an empty screen-high section stands
+ * in for each one.
+ *
+ * Attributes:
+ *   theme      registered theme name, switched live
+ *   particles  caps the particle count
+ *   sections   comma-separated section ids to keep, e.g. "hero,stats"
+ *   scroller   'self' (default), 'window' or a selector for the element
+ *              whose scrolling drives the scene; with anything but 'self'
+ *              the element grows with its content instead of scrolling it
+ *   seed       seeds the particle layouts
+ *   keyboard   present to navigate sections with the keyboard while focus
+ *              is inside the element
+ *
+ * Dispatches `ready` ({ experience }) once the first frame is on screen,
+ * `sectionchange` ({ section, index }) as the section in view changes and
+ * `error` ({ error }) when the scene cannot start.
+ */
+
+import Experience from './experience.js';
+import defaultManifest from './manifest.js';
+import { probeCapabilities, getPathOptions } from './capabilities.js';
+
+// Attributes that need a fresh scene when they change; `theme` is applied live
+const REBUILD_ATTRIBUTES = ['particles', 'sections', 'scroller', 'seed', 'keyboard'];
+
+const TEMPLATE = `
+  <style>
+    :host { display: block; position: relative; height: 400px; overflow: hidden; }
+    :host([hidden]) { display: none; }
+    :host([scroller]:not([scroller="self"])) { height: auto; overflow: visible; }
+    .view { position: absolute; inset: 0; pointer-events: none; }
+    :host([scroller]:not([scroller="self"])) .view {
+      position: sticky; top: 0; height: 100vh; margin-bottom: -100vh;
+    }
+    .view canvas { display: block; }
+    .scroller { position: absolute; inset: 0; overflow: auto; overscroll-behavior: contain; }
+    :host([scroller]:not([scroller="self"])) .scroller { position: relative; overflow: visible; }
+    .placeholder { height: 100%; }
+    :host([scroller]:not([scroller="self"])) .placeholder { height: 100vh; }
+  </style>
+  <div class="view" part="view"></div>
+  <div class="scroller" part="scroller"><slot></slot></div>
+`;
+
+export default class AIExperienceElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['theme', ...REBUILD_ATTRIBUTES];
+  }
+
+  constructor() {
+    super();
+
+    this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+    this._view = this.shadowRoot.querySelector('.view');
+    this._scroller = this.shadowRoot.querySelector('.scroller');
+    this._manifest = defaultManifest;
+    this._experience = null;
+  }
+
+  /**
+   * The running Experience, or null before connecting and after a failure.
+   */
+  get experience() {
+    return this._experience;
+  }
+
+  /**
+   * Scene manifest (see manifest.js); setting it rebuilds the scene.
+   */
+  get manifest() {
+    return this._manifest;
+  }
+
+  set manifest(manifest) {
+    this._manifest = manifest || defaultManifest;
+    if (this.isConnected) this._build();
+  }
+
+  connectedCallback() {
+    this._build();
+  }
+
+  disconnectedCallback() {
+    this._teardown();
+  }
+
+  attributeChangedCallback(name, previous, value) {
+    if (!this._experience || previous === value) return;
+    if (name === 'theme') {
+      if (value) this._experience.setTheme(value);
+    } else {
+      this._build();
+    }
+  }
+
+  // ── Scene ────────────────────────────────────────────────────────────
+
+  _build() {
+    this._teardown();
+
+    const capabilities = probeCapabilities();
+    if (capabilities.path === 'fallback') {
+      this._fail(new Error(`[AIExperience] WebGL is not available: ${capabilities.reasons.join(', ')}.`));
+      return;
+    }
+
+    // destroy() takes the renderer's canvas with it, so every scene gets a new one
+    const canvas = document.createElement('canvas');
+    this._view.appendChild(canvas);
+
+    const pathOptions = getPathOptions(capabilities.path);
+    const particles = Number(this.getAttribute('particles')) || null;
+    const seed = this.getAttribute('seed');
+
+    let experience;
+    try {
+      experience = new Experience(canvas, this._createManifest(), {
+        ...pathOptions,
+        quality: { ...pathOptions.quality, particles },
+        seed: seed !== null ? seed : undefined,
+        keyboard: this.hasAttribute('keyboard'),
+        container: this,
+        view: this._view,
+        scroller: this._getScroller(),
+        themeRoot: this
+      });
+    } catch (err) {
+      canvas.remove();
+      this._fail(err);
+      return;
+    }
+
+    this._experience = experience;
+    // The keyboard listens on the element, which then has to take focus
+    if (this.hasAttribute('keyboard') && !this.hasAttribute('tabindex')) this.tabIndex = 0;
+
+    experience.on('sectionenter', (section) => {
+      this._dispatch('sectionchange', { section: section.id, index: section.index });
+    });
+    experience.ready.then(
+      () => {
+        if (this._experience === experience) this._dispatch('ready', { experience });
+      },
+      (err) => {
+        if (this._experience === experience) this._fail(err);
+      }
+    );
+  }
+
+  _teardown() {
+    if (this._experience) {
+      this._experience.destroy();
+      this._experience = null;
+    }
+    this._view.replaceChildren();
+    this._scroller.querySelectorAll('.placeholder').forEach((placeholder) => placeholder.remove());
+  }
+
+  _fail(error) {
+    console.error('[AIExperience] Failed to start:', error);
+    this._teardown();
+    this._dispatch('error', { error });
+  }
+
+  _dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  _getScroller() {
+    const scroller = this.getAttribute('scroller') || 'self';
+    if (scroller === 'self') return this._scroller;
+    if (scroller === 'window') return window;
+
+    const element = document.querySelector(scroller);
+    if (!element) console.warn(`[AIExperience] No scroller matches "${scroller}", using the window.`);
+    return element || window;
+  }
+
+  /**
+   * The manifest narrowed to the `sections` attribute, with the theme
+   * attribute applied and placeholders standing in for missing markup.
+   */
+  _createManifest() {
+    const manifest = this._manifest;
+    const theme = this.getAttribute('theme');
+    const ids = (this.getAttribute('sections') || '').split(',').map((id) => id.trim()).filter(Boolean);
+
+    let sections = ids.length > 0
+      ? manifest.sections.filter((config) => ids.includes(config.id))
+      : manifest.sections;
+    if (ids.length > 0 && sections.length === 0) {
+      console.warn(`[AIExperience] No sections match "${this.getAttribute('sections')}", showing all of them.`);
+      sections = manifest.sections;
+    }
+
+    // Only when the element brings none of the sections' own markup
+    if (!sections.some((config) => this.querySelector(config.selector))) {
+      sections = sections.map((config) => this._createPlaceholder(config));
+    }
+
+    return { ...manifest, ...(theme ? { theme } : {}), sections };
+  }
+
+  _createPlaceholder(config) {
+    const element = document.createElement('div');
+    element.className = 'placeholder';
+    element.setAttribute('part', 'section');
+    element.dataset.section = config.id;
+    this._scroller.appendChild(element);
+
+    // A text formation sampled from page markup has nothing to sample here
+    const { formation } = config;
+    const sampled = formation && formation.source === 'text' && formation.selector && !formation.text;
+    return { ...config, element, ...(sampled ? { formation: 'galaxy' } : {}) };
+  }
+}
+
+if (!customElements.get('ai-experience')) {
+  customElements.define('ai-experience', AIExperienceElement);
+}
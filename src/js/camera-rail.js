@@ -0,0 +1,127 @@
+/**
+ * camera-rail.js
+ * The camera path through the page. Keyframes (`progress` 0..1, world
+ * `position` and look-at `target`, `fov` and `roll` in degrees) are joined
+ * by Catmull-Rom splines, so the camera glides through every shot instead
+ * of cutting straight lines between them. sample() gives the shot at any
+ * scroll progress; createHelper() draws the rail for debugging.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+
+export const CAMERA_DEFAULTS = {
+  fov: 60,
+  // CatmullRomCurve3 type; 'catmullrom' also takes `tension`
+  curveType: 'centripetal',
+  tension: 0.5,
+  // World units the pointer moves the camera off the rail, and how fast
+  // the offset follows (0..1 per frame)
+  sway: 0.5,
+  swayEase: 0.05
+};
+
+/**
+ * Uniform Catmull-Rom between p1 and p2, for values that ride along with
+ * the curves (fov, roll).
+ */
+function catmullRom(t, p0, p1, p2, p3) {
+  const v0 = (p2 - p0) * 0.5;
+  const v1 = (p3 - p1) * 0.5;
+  const t2 = t * t;
+  const t3 = t * t2;
+  return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+export default class CameraRail {
+  constructor(keyframes, options = {}) {
+    this.options = { ...CAMERA_DEFAULTS, ...options };
+    this.keyframes = keyframes.slice().sort((a, b) => a.progress - b.progress);
+
+    const { curveType, tension } = this.options;
+    const curve = (key) => {
+      const points = this.keyframes.map((keyframe) => keyframe[key]);
+      // A curve needs two points; a lone keyframe holds still
+      return new THREE.CatmullRomCurve3(points.length > 1 ? points : [points[0], points[0]], false, curveType, tension);
+    };
+    this.positionCurve = curve('position');
+    this.targetCurve = curve('target');
+  }
+
+  /**
+   * Writes the shot at `progress` into `shot` ({ position, target, fov,
+   * roll }, vectors reused) and returns it.
+   */
+  sample(progress, shot) {
+    const u = this._toCurve(progress);
+    this.positionCurve.getPoint(u, shot.position);
+    this.targetCurve.getPoint(u, shot.target);
+    shot.fov = this._interpolate('fov', u);
+    shot.roll = this._interpolate('roll', u);
+    return shot;
+  }
+
+  /**
+   * Debug view: the camera path (`color`), the look-at path
+   * (`targetColor`) and each keyframe's frustum, aimed and rolled as shot.
+   */
+  createHelper({ color = 0xffcc00, targetColor = 0x00ccff, aspect = 16 / 9, segments = 200 } = {}) {
+    const group = new THREE.Group();
+    group.name = 'cameraRailHelper';
+
+    const line = (points, lineColor, opacity = 1) => new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: lineColor, transparent: opacity < 1, opacity })
+    );
+    group.add(line(this.positionCurve.getPoints(segments), color));
+    group.add(line(this.targetCurve.getPoints(segments), targetColor));
+
+    this.keyframes.forEach(({ position, target, fov, roll }) => {
+      const camera = new THREE.PerspectiveCamera(fov, aspect, 0.3, 1.2);
+      camera.position.copy(position);
+      camera.lookAt(target);
+      camera.rotateZ(THREE.MathUtils.degToRad(roll));
+      camera.updateMatrixWorld();
+
+      const frustum = new THREE.CameraHelper(camera);
+      frustum.setColors(
+        new THREE.Color(color), new THREE.Color(color), new THREE.Color(color),
+        new THREE.Color(targetColor), new THREE.Color(color)
+      );
+      group.add(frustum, line([position, target], targetColor, 0.35));
+    });
+
+    return group;
+  }
+
+  /**
+   * Scroll progress → curve parameter. The curves are spaced evenly by
+   * keyframe, so progress is mapped piecewise between keyframe progresses.
+   */
+  _toCurve(progress) {
+    const frames = this.keyframes;
+    const last = frames.length - 1;
+    if (last <= 0 || progress <= frames[0].progress) return 0;
+    if (progress >= frames[last].progress) return 1;
+
+    let i = 0;
+    while (i < last - 1 && progress > frames[i + 1].progress) i++;
+    const span = frames[i + 1].progress - frames[i].progress;
+    return (i + (span > 0 ? (progress - frames[i].progress) / span : 0)) / last;
+  }
+
+  _interpolate(key, u) {
+    const values = this.keyframes.map((keyframe) => keyframe[key]);
+    const last = values.length - 1;
+    if (last <= 0) return values[0];
+
+    const position = u * last;
+    const i = Math.min(Math.floor(position), last - 1);
+    return catmullRom(
+      position - i,
+      values[Math.max(i - 1, 0)],
+      values[i],
+      values[i + 1],
+      values[Math.min(i + 2, last)]
+    );
+  }
+}
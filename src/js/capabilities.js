@@ -0,0 +1,146 @@
+/**
+ * capabilities.js
+ * Probes the GPU before boot on a throwaway canvas and picks a rendering
+ * path:
+ *   'full'     WebGL2 with float render targets; everything enabled
+ *   'reduced'  WebGL works but is limited; low quality, no GPU simulation
+ *   'fallback' no usable WebGL; render the 2D canvas version instead
+ */
+
+// Below these the full experience is not worth attempting
+const MIN_TEXTURE_SIZE = 2048;
+const FULL_TEXTURE_SIZE = 4096;
+const FULL_POINT_SIZE = 32;
+
+const TEST_VERTEX_SHADER = `
+  attribute vec3 position;
+  void main() {
+    gl_PointSize = 4.0;
+    gl_Position = vec4(position, 1.0);
+  }
+`;
+
+const TEST_FRAGMENT_SHADER = `
+  precision mediump float;
+  void main() {
+    gl_FragColor = vec4(1.0);
+  }
+`;
+
+function compiles(gl) {
+  const program = gl.createProgram();
+  const shaders = [
+    [gl.VERTEX_SHADER, TEST_VERTEX_SHADER],
+    [gl.FRAGMENT_SHADER, TEST_FRAGMENT_SHADER]
+  ].map(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+    return shader;
+  });
+
+  gl.linkProgram(program);
+  const ok = shaders.every((shader) => gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+    && gl.getProgramParameter(program, gl.LINK_STATUS);
+
+  shaders.forEach((shader) => gl.deleteShader(shader));
+  gl.deleteProgram(program);
+  return ok;
+}
+
+/**
+ * Checks whether a float texture can actually be rendered to; extension
+ * support alone is not always honoured by WebGL1 drivers.
+ */
+function rendersToFloat(gl, webgl2) {
+  if (webgl2) {
+    if (!gl.getExtension('EXT_color_buffer_float')) return false;
+  } else if (!gl.getExtension('OES_texture_float')) {
+    return false;
+  }
+
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  if (webgl2) {
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, 4, 4, 0, gl.RGBA, gl.FLOAT, null);
+  } else {
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 4, 4, 0, gl.RGBA, gl.FLOAT, null);
+  }
+
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.deleteFramebuffer(framebuffer);
+  gl.deleteTexture(texture);
+  return complete;
+}
+
+/**
+ * @returns {{ path: 'full' | 'reduced' | 'fallback', reasons: string[],
+ *   webgl2: boolean, maxTextureSize: number, floatRenderTargets: boolean,
+ *   maxPointSize: number, shaderCompilation: boolean }}
+ */
+export function probeCapabilities() {
+  const result = {
+    path: 'fallback',
+    reasons: [],
+    webgl2: false,
+    maxTextureSize: 0,
+    floatRenderTargets: false,
+    maxPointSize: 0,
+    shaderCompilation: false
+  };
+
+  const canvas = document.createElement('canvas');
+  let gl = null;
+  try {
+    gl = canvas.getContext('webgl2');
+    result.webgl2 = !!gl;
+    gl = gl || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+  } catch (err) {
+    gl = null;
+  }
+
+  if (!gl) {
+    result.reasons.push('WebGL is not available');
+    return result;
+  }
+
+  try {
+    result.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    result.maxPointSize = gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE)[1];
+    result.shaderCompilation = compiles(gl);
+    result.floatRenderTargets = rendersToFloat(gl, result.webgl2);
+  } finally {
+    // Hand the context back so it doesn't count against the browser's limit
+    const lose = gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+  }
+
+  if (!result.shaderCompilation) result.reasons.push('shaders fail to compile');
+  if (result.maxTextureSize < MIN_TEXTURE_SIZE) result.reasons.push(`max texture size ${result.maxTextureSize}`);
+  if (result.reasons.length > 0) return result;
+
+  if (!result.webgl2) result.reasons.push('WebGL2 unavailable');
+  if (!result.floatRenderTargets) result.reasons.push('no float render targets');
+  if (result.maxTextureSize < FULL_TEXTURE_SIZE) result.reasons.push(`max texture size ${result.maxTextureSize}`);
+  if (result.maxPointSize < FULL_POINT_SIZE) result.reasons.push(`max point size ${result.maxPointSize}`);
+
+  result.path = result.reasons.length > 0 ? 'reduced' : 'full';
+  return result;
+}
+
+/**
+ * Experience options for a probed path. The fallback path has none since
+ * it never creates an Experience.
+ */
+export function getPathOptions(path) {
+  if (path === 'reduced') {
+    return { quality: { tier: 'low' }, particleSimulation: false };
+  }
+  return {};
+}
@@ -0,0 +1,274 @@
+/**
+ * capture.js
+ * Frame-exact stills and video. While a Capture is open the render loop is
+ * stopped and frames are drawn on demand from a fixed-step virtual clock
+ * (1 / fps per frame), so with a `?seed` the same frame, progress and size
+ * always give the same image, e.g. for marketing stills, og:image or
+ * regression comparisons.
+ *
+ *   const capture = await experience.createCapture({ width: 1200, height: 630 });
+ *   capture.download(await capture.png({ progress: 0, frame: 120 }), 'og-image.png');
+ *   capture.download(await capture.webm({ duration: 12 }), 'fly-through.webm');
+ *   capture.end();
+ *
+ * Frame 0 is the state right after a reset: clocks at zero, particles at
+ * rest, tweens settled. Earlier frames are replayed from there.
+ */
+
+import gsap from 'https://esm.sh/gsap@3.12.5';
+
+const DEFAULTS = {
+  width: null,             // output size in CSS pixels; null uses the window
+  height: null,
+  pixelRatio: 1,
+  fps: 60,
+  mimeType: 'video/webm;codecs=vp9',
+  videoBitsPerSecond: 8000000
+};
+
+// ── Zip (stored; PNGs are already compressed) ──────────────────────────────
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Builds a zip archive from `[{ name, data: Uint8Array }]`.
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const records = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);          // version needed to extract
+    local.setUint16(12, 0x21, true);       // DOS date 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    records.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);          // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...records, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Encodes the canvas. Must be called in the same task as the render: the
+ * drawing buffer is cleared once the frame has been composited.
+ */
+function toBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('[Capture] Could not encode the canvas.'));
+    }, type);
+  });
+}
+
+/**
+ * Saves a blob through a temporary download link.
+ */
+export function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default class Capture {
+  constructor(experience, options = {}) {
+    this.experience = experience;
+    this.options = { ...DEFAULTS, ...options };
+    this.canvas = experience.renderer.domElement;
+    // Frames drawn since the last reset
+    this.frame = 0;
+
+    const { width, height, pixelRatio } = this.options;
+    experience.beginCapture({ width, height, pixelRatio });
+  }
+
+  /**
+   * Back to frame 0 at the current scroll progress.
+   */
+  reset() {
+    this.experience.resetCapture();
+    this.frame = 0;
+  }
+
+  /**
+   * Draws the next `count` frames.
+   */
+  step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.experience.renderFrame(1 / this.options.fps);
+      this.frame++;
+    }
+  }
+
+  /**
+   * Leaves frame `frame` on the canvas, replaying from frame 0 if needed.
+   */
+  renderFrame(frame) {
+    if (frame <= this.frame) this.reset();
+    this.step(frame - this.frame);
+  }
+
+  /**
+   * Scrolls to `progress` (0..1) and resets to frame 0 there.
+   */
+  seek(progress) {
+    this.experience.setScrollProgress(progress);
+    this.reset();
+  }
+
+  /**
+   * Renders one frame as a PNG. Without `frame` the current one is redrawn;
+   * a `progress` seeks there first.
+   */
+  png({ progress, frame } = {}) {
+    if (progress !== undefined) this.seek(progress);
+    this.renderFrame(frame === undefined ? this.frame : frame);
+    return toBlob(this.canvas, 'image/png');
+  }
+
+  /**
+   * Scrolls from `from` to `to` over `duration` seconds of virtual time,
+   * drawing every frame. `onFrame(frame, progress)` runs straight after
+   * each frame is drawn and may return a promise to wait for.
+   */
+  async flyThrough({ duration = 10, from = 0, to = 1, ease = 'none', onFrame } = {}) {
+    const frames = Math.max(Math.round(duration * this.options.fps), 1);
+    const easing = gsap.parseEase(ease);
+
+    for (let frame = 0; frame <= frames; frame++) {
+      const progress = from + (to - from) * easing(frame / frames);
+      if (frame === 0) {
+        this.seek(progress);
+      } else {
+        this.experience.setScrollProgress(progress);
+        this.step();
+      }
+      if (onFrame) await onFrame(frame, progress);
+    }
+  }
+
+  /**
+   * Fly-through as a zip of numbered PNGs. Every frame is held in memory
+   * until the archive is built, so keep long sequences at modest sizes.
+   */
+  async pngSequence({ prefix = 'frame', ...flyThrough } = {}) {
+    const pending = [];
+    await this.flyThrough({
+      ...flyThrough,
+      onFrame: (frame) => {
+        const name = `${prefix}-${String(frame).padStart(5, '0')}.png`;
+        pending.push(toBlob(this.canvas, 'image/png')
+          .then((blob) => blob.arrayBuffer())
+          .then((buffer) => ({ name, data: new Uint8Array(buffer) })));
+        // Bounds how many encodes are in flight at once
+        if (pending.length % 8 === 0) return Promise.all(pending);
+        return null;
+      }
+    });
+    return createZip(await Promise.all(pending));
+  }
+
+  /**
+   * Fly-through recorded to WebM with MediaRecorder. Frames are still
+   * rendered on the virtual clock, but MediaRecorder timestamps them by
+   * wall time, so they are paced at `fps` in real time; keep the tab in
+   * the foreground while recording.
+   */
+  async webm(flyThrough = {}) {
+    if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream) {
+      throw new Error('[Capture] WebM export needs MediaRecorder and canvas.captureStream().');
+    }
+
+    const { fps, mimeType, videoBitsPerSecond } = this.options;
+    const type = [mimeType, 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find((candidate) => MediaRecorder.isTypeSupported(candidate));
+    if (!type) {
+      throw new Error('[Capture] This browser cannot record WebM.');
+    }
+
+    // With a frame rate of 0 the stream only takes frames on requestFrame()
+    const stream = this.canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+    recorder.start();
+    const start = performance.now();
+    try {
+      await this.flyThrough({
+        ...flyThrough,
+        onFrame: (frame) => {
+          track.requestFrame();
+          const wait = start + ((frame + 1) * 1000) / fps - performance.now();
+          return wait > 0 ? new Promise((resolve) => setTimeout(resolve, wait)) : null;
+        }
+      });
+    } finally {
+      recorder.stop();
+      await stopped;
+      track.stop();
+    }
+
+    return new Blob(chunks, { type });
+  }
+
+  download(blob, filename) {
+    download(blob, filename);
+  }
+
+  /**
+   * Restores the window-sized canvas and the normal render loop.
+   */
+  end() {
+    this.experience.endCapture();
+  }
+}
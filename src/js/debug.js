@@ -0,0 +1,212 @@
+import GUI from 'https://unpkg.com/three@0.157.0/examples/jsm/libs/lil-gui.module.min.js';
+import { UNIFORM_GROUPS, getTweaks, getDrivenUniforms } from './tweaks.js';
+import { THEMES } from './themes.js';
+import { RENDER_MODES } from './scheduler.js';
+
+const STORAGE_KEY = 'ai-web-factory:tweaks';
+
+// Slider ranges by preset path; anything else gets one scaled from its value
+const RANGES = {
+  'particleUniforms.uSize': [0.1, 10, 0.1],
+  'bloom.strength': [0, 3, 0.01],
+  'bloom.radius': [0, 1, 0.01],
+  'bloom.threshold': [0, 1, 0.01],
+  'chromaticAberration.offset': [0, 0.02, 0.0005],
+  'chromaticAberration.velocity': [0, 0.1, 0.001],
+  'vignette.offset': [0, 2, 0.01],
+  'vignette.darkness': [0, 3, 0.01],
+  'filmGrain.intensity': [0, 0.3, 0.005],
+  'dof.aperture': [0, 0.02, 0.0005],
+  'dof.maxblur': [0, 0.05, 0.001],
+  'lut.mix': [0, 1, 0.01],
+  'lut.intensity': [0, 1, 0.01],
+  'renderer.toneMappingExposure': [0, 3, 0.01],
+  'galaxy.seed': [0, 999999, 1],
+  'galaxy.arms': [1, 12, 1],
+  'galaxy.radius': [1, 15, 0.1],
+  'galaxy.radiusPower': [0.1, 3, 0.01],
+  'galaxy.spin': [-3, 3, 0.01],
+  'galaxy.thickness': [0, 3, 0.01],
+  'galaxy.randomness': [0, 2, 0.01],
+  'galaxy.randomnessPower': [1, 10, 0.1],
+  'galaxy.scaleMin': [0, 5, 0.01],
+  'galaxy.scaleMax': [0, 5, 0.01],
+  'galaxy.scalePower': [0.1, 5, 0.01],
+  intensity: [0, 5, 0.01]
+};
+
+function getRange(path, key, value) {
+  const range = RANGES[path] || RANGES[key];
+  if (range) return range;
+  const max = Math.max(Math.abs(value) * 4, 1);
+  return [value < 0 ? -max : 0, max, max / 200];
+}
+
+/** Nested object holding only `value` at `path`. */
+function atPath(path, value) {
+  return path.reduceRight((inner, key) => ({ [key]: inner }), value);
+}
+
+/** Copies `source` into `target` without replacing nested objects or arrays. */
+function copyInto(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (Array.isArray(value) && Array.isArray(target[key])) {
+      target[key].splice(0, Infinity, ...value);
+    } else if (value && typeof value === 'object' && target[key]) {
+      copyInto(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * debug.js
+ * Live tweak panel for designers (lil-gui). Lists every tweakable value
+ * from tweaks.js with sliders, colour pickers and toggles; engine-driven
+ * uniforms are shown read-only. Changes persist to localStorage and can
+ * be exported as a preset for `manifest.tweaks`.
+ */
+export default class DebugPanel {
+  constructor(experience) {
+    this.experience = experience;
+
+    experience.setTweaks(this._load());
+    // The object lil-gui edits; kept in sync with the experience
+    this.values = getTweaks(experience);
+
+    this.gui = new GUI({ title: 'Tweaks' });
+    this._build();
+  }
+
+  destroy() {
+    this.experience.showCameraRail(false);
+    this.gui.destroy();
+  }
+
+  _build() {
+    Object.entries(this.values).forEach(([group, values]) => {
+      const folder = this.gui.addFolder(group);
+      this._addControllers(folder, values, [group]);
+      if (UNIFORM_GROUPS.includes(group)) this._addDriven(folder, group);
+      folder.close();
+    });
+
+    // Not part of the preset: themes are switched with setTheme()
+    const { theme } = this.experience;
+    const selection = { theme: typeof theme === 'string' ? theme : '' };
+    this.gui.add(selection, 'theme', Object.keys(THEMES))
+      .onChange((name) => this.experience.setTheme(name));
+
+    const view = { cameraRail: false, renderMode: this.experience.scheduler.mode };
+    this.gui.add(view, 'cameraRail').name('Show camera rail')
+      .onChange((visible) => this.experience.showCameraRail(visible));
+    this.gui.add(view, 'renderMode', RENDER_MODES).name('Render mode')
+      .onChange((mode) => this.experience.setRenderMode(mode));
+
+    const actions = {
+      export: () => this.export(),
+      reset: () => this.reset()
+    };
+    this.gui.add(actions, 'export').name('Copy preset JSON');
+    this.gui.add(actions, 'reset').name('Reset to defaults');
+  }
+
+  _addControllers(folder, values, path) {
+    Object.entries(values).forEach(([key, value]) => {
+      const keyPath = [...path, key];
+
+      if (Array.isArray(value)) {
+        const sub = folder.addFolder(key);
+        value.forEach((item, i) => {
+          const [min, max, step] = getRange(keyPath.join('.'), key, item);
+          sub.add(value, i, min, max, step).onChange(() => this._onChange(keyPath, value.slice()));
+        });
+        return;
+      }
+
+      if (value && typeof value === 'object') {
+        this._addControllers(folder.addFolder(key), value, keyPath);
+        return;
+      }
+
+      let controller;
+      if (typeof value === 'string') {
+        controller = folder.addColor(values, key);
+      } else if (typeof value === 'number') {
+        const [min, max, step] = getRange(keyPath.join('.'), key, value);
+        controller = folder.add(values, key, min, max, step);
+      } else {
+        controller = folder.add(values, key);
+      }
+      controller.onChange((next) => this._onChange(keyPath, next));
+    });
+  }
+
+  /**
+   * Read-only monitors for uniforms the engine writes itself.
+   */
+  _addDriven(folder, group) {
+    const uniforms = this.experience[group];
+    const driven = getDrivenUniforms(this.experience);
+    const monitors = folder.addFolder('driven (read-only)');
+
+    Object.entries(uniforms).forEach(([name, uniform]) => {
+      if (!driven.has(`${group}.${name}`)) return;
+      const value = uniform.value;
+      if (typeof value === 'number') {
+        monitors.add(uniform, 'value').name(name).listen().disable();
+      } else if (value && (value.isVector2 || value.isVector3)) {
+        ['x', 'y', 'z'].filter((axis) => axis in value).forEach((axis) => {
+          monitors.add(value, axis).name(`${name}.${axis}`).listen().disable();
+        });
+      }
+    });
+    monitors.close();
+  }
+
+  _onChange(path, value) {
+    this.experience.setTweaks(atPath(path, value));
+    this._save();
+  }
+
+  /**
+   * Copies the current preset (changes from the defaults only) to the
+   * clipboard and returns it, ready to paste into `manifest.tweaks`.
+   */
+  export() {
+    const json = JSON.stringify(this.experience.tweaks, null, 2);
+    // Without a clipboard the preset goes to the console instead
+    const fail = (err) => console.warn(`[Debug] Could not copy the preset:\n${json}`, err);
+    if (navigator.clipboard) navigator.clipboard.writeText(json).catch(fail);
+    else fail();
+    return json;
+  }
+
+  reset() {
+    this.experience.resetTweaks();
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+      // Storage may be blocked; nothing was saved then either
+    }
+    copyInto(this.values, getTweaks(this.experience));
+    this.gui.controllersRecursive().forEach((controller) => controller.updateDisplay());
+  }
+
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.experience.tweaks));
+    } catch (err) {
+      // Storage may be blocked; tweaks then last until reload
+    }
+  }
+}
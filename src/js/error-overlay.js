@@ -0,0 +1,192 @@
+const DEFAULTS = {
+  // Element the overlay is added to; document.body by default
+  parent: null,
+  // What the Retry button does
+  onRetry: () => window.location.reload()
+};
+
+const MONOSPACE = "'JetBrains Mono', ui-monospace, SFMono-Regular, Menlo, monospace";
+
+function createElement(tag, style = {}, text = '') {
+  const element = document.createElement(tag);
+  Object.assign(element.style, style);
+  if (text) element.textContent = text;
+  return element;
+}
+
+function createButton(text, onClick) {
+  const button = createElement('button', {
+    background: 'none',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '4px',
+    color: '#ffffff',
+    fontFamily: 'system-ui, sans-serif',
+    fontSize: '13px',
+    padding: '6px 14px',
+    cursor: 'pointer'
+  }, text);
+  button.type = 'button';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * error-overlay.js
+ * On-page error report for debug mode, drawn over everything else:
+ * failing shaders with the lines around each error and the driver's log,
+ * uncaught errors with their stack, and a Retry button. Every entry has a
+ * `key`; adding one under a key already shown replaces it, and clear()
+ * takes out every key starting with a prefix. The overlay hides itself
+ * when the last entry goes.
+ */
+export default class ErrorOverlay {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    // Entry elements by key
+    this.entries = new Map();
+    this.element = null;
+    this._list = null;
+  }
+
+  /**
+   * Shows an entry: a `title`, a `message`, optional `excerpt` lines
+   * (`[{ line, text }]`, with `line` matching `highlight` marked) and
+   * optional collapsed `details` such as a log or stack.
+   */
+  add({ key, title, message = '', excerpt = [], highlight = null, details = '', detailsLabel = 'Details' }) {
+    this._mount();
+
+    const entry = createElement('section', {
+      padding: '16px 0',
+      borderTop: '1px solid rgba(255,255,255,0.12)'
+    });
+    entry.appendChild(createElement('h3', { margin: '0 0 6px', fontSize: '15px', color: '#ff6b6b' }, title));
+    if (message) {
+      entry.appendChild(createElement('p', { margin: '0 0 8px', whiteSpace: 'pre-wrap' }, message));
+    }
+
+    if (excerpt.length > 0) {
+      const code = createElement('pre', {
+        margin: '0 0 8px',
+        padding: '8px 0',
+        background: 'rgba(255,255,255,0.05)',
+        borderRadius: '4px',
+        overflowX: 'auto'
+      });
+      const width = String(excerpt[excerpt.length - 1].line).length;
+      excerpt.forEach(({ line, text }) => {
+        const marked = line === highlight;
+        code.appendChild(createElement('div', {
+          padding: '0 12px',
+          background: marked ? 'rgba(255,107,107,0.2)' : 'none',
+          color: marked ? '#ffffff' : 'rgba(255,255,255,0.7)'
+        }, `${String(line).padStart(width)} | ${text}`));
+      });
+      entry.appendChild(code);
+    }
+
+    if (details) {
+      const more = createElement('details', { fontSize: '12px', color: 'rgba(255,255,255,0.7)' });
+      more.appendChild(createElement('summary', { cursor: 'pointer' }, detailsLabel));
+      more.appendChild(createElement('pre', { margin: '8px 0 0', whiteSpace: 'pre-wrap' }, details));
+      entry.appendChild(more);
+    }
+
+    const previous = this.entries.get(key);
+    if (previous) {
+      previous.replaceWith(entry);
+    } else {
+      this._list.appendChild(entry);
+    }
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Shows an Error (or anything thrown) with its stack.
+   */
+  addError(error, title = 'Uncaught error', key = title) {
+    const message = error && error.message ? error.message : String(error);
+    const stack = error && error.stack ? error.stack : '';
+    return this.add({ key, title, message, details: stack, detailsLabel: 'Stack' });
+  }
+
+  /**
+   * Shows the errors ShaderLoader emits, one entry per file and line.
+   */
+  addShaderErrors(errors) {
+    errors.forEach(({ stage, file, line, message, excerpt, log }) => {
+      this.add({
+        key: `shader:${stage}:${file}:${line}`,
+        title: file ? `Shader error in ${file}:${line}` : `Shader ${stage} error`,
+        message: `${stage}: ${message}`,
+        excerpt,
+        highlight: line,
+        details: log,
+        detailsLabel: 'Driver log'
+      });
+    });
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    entry.remove();
+    this.entries.delete(key);
+    if (this.entries.size === 0) this._unmount();
+  }
+
+  /**
+   * Removes every entry whose key starts with `prefix`; all of them by default.
+   */
+  clear(prefix = '') {
+    [...this.entries.keys()]
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => this.remove(key));
+  }
+
+  destroy() {
+    this.entries.clear();
+    this._unmount();
+  }
+
+  _mount() {
+    if (this.element) return;
+
+    const overlay = createElement('div', {
+      position: 'fixed',
+      inset: '0',
+      zIndex: '10000',
+      overflowY: 'auto',
+      padding: '32px',
+      background: 'rgba(10,10,14,0.92)',
+      color: '#ffffff',
+      fontFamily: MONOSPACE,
+      fontSize: '13px',
+      lineHeight: '1.5'
+    });
+    overlay.setAttribute('role', 'alert');
+
+    const header = createElement('div', {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '12px',
+      marginBottom: '8px'
+    });
+    header.appendChild(createElement('h2', { margin: '0', marginRight: 'auto', fontSize: '18px' }, 'Experience errors'));
+    header.appendChild(createButton('Retry', () => this.options.onRetry()));
+    header.appendChild(createButton('Dismiss', () => this.destroy()));
+
+    this._list = createElement('div');
+    overlay.appendChild(header);
+    overlay.appendChild(this._list);
+    (this.options.parent || document.body).appendChild(overlay);
+    this.element = overlay;
+  }
+
+  _unmount() {
+    if (this.element) this.element.remove();
+    this.element = null;
+    this._list = null;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * events.js
+ * Minimal event emitter shared by the engine's runtime modules.
+ */
+export default class EventEmitter {
+  constructor() {
+    // Listener sets keyed by event name
+    this._listeners = new Map();
+  }
+
+  on(type, listener) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, new Set());
+    }
+    this._listeners.get(type).add(listener);
+    return this;
+  }
+
+  off(type, listener) {
+    const listeners = this._listeners.get(type);
+    if (listeners) listeners.delete(listener);
+    return this;
+  }
+
+  once(type, listener) {
+    const wrapper = (...args) => {
+      this.off(type, wrapper);
+      listener(...args);
+    };
+    return this.on(type, wrapper);
+  }
+
+  emit(type, ...args) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return false;
+    // Copy so listeners may unsubscribe while being called
+    [...listeners].forEach((listener) => listener(...args));
+    return true;
+  }
+}
@@ -1,68 +1,447 @@
 import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
 import gsap from 'https://esm.sh/gsap@3.12.5';
 import { ScrollTrigger } from 'https://esm.sh/gsap@3.12.5/ScrollTrigger';
-import { EffectComposer } from 'https://unpkg.com/three@0.157.0/examples/jsm/postprocessing/EffectComposer.js';
-import { RenderPass } from 'https://unpkg.com/three@0.157.0/examples/jsm/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from 'https://unpkg.com/three@0.157.0/examples/jsm/postprocessing/UnrealBloomPass.js';
-import { ShaderPass } from 'https://unpkg.com/three@0.157.0/examples/jsm/postprocessing/ShaderPass.js';
+import defaultManifest from './manifest.js';
+import EventEmitter from './events.js';
+import QualityManager from './quality.js';
+import RenderScheduler from './scheduler.js';
+import ParticleSimulation from './particle-simulation.js';
+import { createFormation } from './formations.js';
+import { PARTICLE_SOURCES, recolorText } from './particle-sources.js';
+import InputManager from './input.js';
+import Picking from './picking.js';
+import MotionPreference from './motion.js';
+import LoadingTracker from './loading.js';
+import { getTweaks, applyTweaks, diffTweaks } from './tweaks.js';
+import StatsBinding from './stats.js';
+import CameraRail, { CAMERA_DEFAULTS } from './camera-rail.js';
+import PostProcessing from './postfx.js';
+import ShaderLoader from './shader-loader.js';
+import ErrorOverlay from './error-overlay.js';
+import { createRandom, forkRandom } from './random.js';
+import { GALAXY_DEFAULTS, createGalaxy, colorGalaxy } from './galaxy.js';
+import { DEFAULT_THEME, registerTheme, resolveTheme, getThemeKeys, isThemeReference, applyThemeCSS } from './themes.js';
+
+/**
+ * Disposes every geometry and material under `root`, with the textures
+ * its materials hold.
+ */
+function disposeObject(root) {
+  const disposeMaterial = (material) => {
+    const uniforms = Object.values(material.uniforms || {}).map(({ value }) => value);
+    [...Object.values(material), ...uniforms].forEach((value) => value && value.isTexture && value.dispose());
+    material.dispose();
+  };
+  root.traverse((obj) => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) {
+      if (Array.isArray(obj.material)) {
+        obj.material.forEach(disposeMaterial);
+      } else {
+        disposeMaterial(obj.material);
+      }
+    }
+  });
+}
+
+/**
+ * Scroll animation handlers referenced by `type` from manifest sections.
+ * Each is called with the Experience as `this` and receives the section,
+ * the resolved target meshes and the animation's manifest entry. Handlers
+ * return the ScrollTriggers / timelines they create so they can be torn
+ * down and rebuilt, e.g. when the motion preference changes.
+ *
+ * Under reduced motion (`this.reducedMotion`) a handler skips the motion
+ * and puts its targets straight into their settled state instead. Its
+ * ScrollTriggers should use `scroller: this.scroller`, and its tweens
+ * `onUpdate: () => this.invalidate()` so on-demand rendering follows them.
+ */
+const SECTION_ANIMATIONS = {
+  // One-off elastic scale-up when the page loads
+  intro(section, targets, { delay = 0, duration = 1, ease = 'power2.out' }) {
+    if (this.reducedMotion || section.introPlayed) return [];
+    section.introPlayed = true;
+    return targets.map((mesh) => gsap.from(mesh.scale, {
+      x: 0, y: 0, z: 0, delay, duration, ease, onUpdate: () => this.invalidate()
+    }));
+  },
+
+  // Meshes start displaced and tween home the first time the section enters
+  flyIn(section, targets, { offsets = [], stagger = 0, duration = 1, ease = 'power2.out', start = 'top 80%' }) {
+    return targets.map((mesh, i) => {
+      const home = mesh.userData.home || (mesh.userData.home = mesh.position.clone());
+      if (this.reducedMotion) {
+        mesh.position.copy(home);
+        return null;
+      }
+
+      const [x = 0, y = 0, z = 0] = offsets[i] || [];
+      mesh.position.set(home.x + x, home.y + y, home.z + z);
+
+      return ScrollTrigger.create({
+        trigger: section.element,
+        scroller: this.scroller,
+        start,
+        once: true,
+        onEnter: () => {
+          gsap.to(mesh.position, {
+            x: home.x, y: home.y, z: home.z, delay: i * stagger, duration, ease, onUpdate: () => this.invalidate()
+          });
+        }
+      });
+    }).filter(Boolean);
+  },
+
+  // Scrubs a shared shader uniform through a list of keyframe values
+  uniform(section, targets, { shader, uniform, keyframes, start = 'top 80%', end = 'bottom 20%' }) {
+    const target = this.shaderLibrary[shader].uniforms[uniform];
+    if (this.reducedMotion) {
+      // Hold the value the section shows when centred in the viewport
+      target.value = gsap.utils.interpolate(keyframes, 0.5);
+      return [];
+    }
+    target.value = keyframes[0];
+
+    return [ScrollTrigger.create({
+      trigger: section.element,
+      scroller: this.scroller,
+      start,
+      end,
+      onUpdate: (self) => {
+        target.value = gsap.utils.interpolate(keyframes, self.progress);
+      }
+    })];
+  },
+
+  // Sequential scale-Y growth from zero, scrubbed by scroll
+  grow(section, targets, { stagger = 0, duration = 0.5, ease = 'power2.out', start = 'top 80%', end = 'bottom 20%' }) {
+    if (this.reducedMotion) {
+      targets.forEach((mesh) => { mesh.scale.y = 1; });
+      return [];
+    }
+
+    // Scrubbing eases on after the scroll stops
+    const timeline = gsap.timeline({
+      scrollTrigger: { trigger: section.element, scroller: this.scroller, start, end, scrub: 1 },
+      onUpdate: () => this.invalidate()
+    });
+    targets.forEach((mesh, i) => {
+      mesh.scale.y = 0.001;
+      timeline.to(mesh.scale, { y: 1, duration, ease }, i * stagger);
+    });
+    section.timeline = timeline;
+    return [timeline];
+  },
+
+  // Counters and their bars (see stats.js) driven by one scrubbed timeline
+  stats(section, targets, { stagger = 0, duration = 0.5, ease = 'power2.out', start = 'top 80%', end = 'bottom 20%' }) {
+    if (!section.stats) return [];
+    if (this.reducedMotion) {
+      section.stats.settle();
+      return [];
+    }
+
+    // Scrubbing eases on after the scroll stops
+    const timeline = gsap.timeline({
+      scrollTrigger: { trigger: section.element, scroller: this.scroller, start, end, scrub: 1 },
+      onUpdate: () => this.invalidate()
+    });
+    section.stats.animate(timeline, { stagger, duration, ease });
+    section.timeline = timeline;
+    return [timeline];
+  },
+
+  // Uniform scale mapped linearly onto section progress
+  scale(section, targets, { from = 1, to = 1, start = 'top 80%', end = 'bottom 20%' }) {
+    if (this.reducedMotion) {
+      targets.forEach((mesh) => mesh.scale.setScalar((from + to) / 2));
+      return [];
+    }
+
+    return [ScrollTrigger.create({
+      trigger: section.element,
+      scroller: this.scroller,
+      start,
+      end,
+      onUpdate: (self) => {
+        const s = from + (to - from) * self.progress;
+        targets.forEach((mesh) => mesh.scale.setScalar(s));
+      }
+    })];
+  }
+};
+
+// Keys that step to the next / previous section (see _onKeyDown)
+const NAVIGATION_KEYS = {
+  ArrowDown: 1,
+  ArrowRight: 1,
+  PageDown: 1,
+  ArrowUp: -1,
+  ArrowLeft: -1,
+  PageUp: -1
+};
 
 /**
  * Experience.js
  * Main Three.js experience class managing all 3D rendering,
  * animations, post-processing, and scroll-driven interactions.
+ *
+ * Emits `sectionenter` / `sectionleave` (section) as the section in the
+ * middle of the viewport changes, `progress` (0..1 page progress) while
+ * scrolling and `ready` once the first frame is on screen. Pickable
+ * objects emit `objectenter` / `objectleave` and `objectclick` (see
+ * picking.js). `pause` / `resume` follow the render loop.
+ *
+ * Several instances can share a page: each one only touches its own
+ * listeners, triggers and GPU resources, and pauses on its own while its
+ * canvas is out of view. With `options.container` it embeds in an element
+ * rather than owning the window (see ai-experience.js). Plugins (use())
+ * add their own sections, shaders, post-FX passes and per-frame hooks.
  */
-export default class Experience {
-  constructor(canvas) {
+export default class Experience extends EventEmitter {
+  /**
+   * Registers a custom scroll animation `type` for use in manifests.
+   */
+  static registerAnimation(type, handler) {
+    SECTION_ANIMATIONS[type] = handler;
+  }
+
+  /**
+   * Registers a custom colour theme for setTheme(), see themes.js.
+   */
+  static registerTheme(name, theme) {
+    registerTheme(name, theme);
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [manifest] Scene manifest, see manifest.js
+   * @param {object} [options]
+   * @param {object} [options.quality] QualityManager options, e.g. `{ tier: 'low' }`
+   * @param {object} [options.scheduler] RenderScheduler options, e.g.
+   *   `{ mode: 'capped', fps: 30 }`; see setRenderMode()
+   * @param {object|false} [options.particleSimulation] ParticleSimulation options,
+   *   or false to force the stateless particle shader
+   * @param {object} [options.input] InputManager options, e.g. `{ gyroscope: true }`
+   * @param {object} [options.motion] `{ preference: 'system' | 'reduce' | 'no-preference',
+   *   stillFrames }`; with stillFrames, reduced motion renders one frame per section
+   * @param {number|string} [options.seed] Seeds every random particle layout so
+   *   reloads are identical; `?seed=` in the URL does the same
+   * @param {object} [options.shaders] ShaderLoader options, e.g. `{ hotReload: false }`
+   * @param {boolean} [options.keyboard] false turns off keyboard section navigation
+   * @param {object} [options.picking] Picking options, e.g. `{ scale: 1.2 }`
+   * @param {object[]} [options.plugins] Plugins to use() from the start
+   * @param {HTMLElement} [options.themeRoot] Element that receives the theme's
+   *   CSS custom properties, document.documentElement by default
+   * @param {HTMLElement} [options.container] Element to embed in instead of
+   *   owning the window: the view is sized to it, pointer input is relative
+   *   to it and section selectors are looked up inside it
+   * @param {HTMLElement} [options.view] Element holding the canvas when it is
+   *   not the container's own box, e.g. a sticky screen-high box inside a
+   *   container that grows with its sections; the view is sized to it and
+   *   pointer input is relative to it
+   * @param {Window|HTMLElement} [options.scroller] What scrolls through the
+   *   sections, the window by default
+   * @param {boolean} [options.debug] Opens the tweak panel and reports shader,
+   *   boot and context errors on the page; `?debug` in the URL does the same
+   */
+  constructor(canvas, manifest = defaultManifest, options = {}) {
+    super();
+
     // Store reference to the canvas element
     this.canvas = canvas;
 
+    // Must be seeded before any particles or formations are generated
+    this.seed = options.seed !== undefined
+      ? options.seed
+      : new URLSearchParams(window.location.search).get('seed');
+    // This instance's own generator; see random.js
+    this.random = createRandom(this.seed);
+
+    // Declarative description of the scroll sections (see manifest.js)
+    this.manifest = manifest;
+    this.options = options;
+
+    // Debug mode: tweak panel on load and errors shown on the page
+    this.debugMode = options.debug !== undefined
+      ? options.debug
+      : new URLSearchParams(window.location.search).has('debug');
+    this.errorOverlay = this.debugMode ? new ErrorOverlay() : null;
+
+    // Frame-rate governor; picks the starting tier before anything is allocated
+    this.quality = new QualityManager(options.quality);
+
+    // Which animation frames are rendered: every one, capped or on demand
+    this.scheduler = new RenderScheduler(options.scheduler);
+    // Pointer position at the last frame, to notice input while idle
+    this._lastMouse = new THREE.Vector2();
+    // Objects whose materials are driven by uTime; with the spinners they
+    // keep on-demand rendering awake while in view (see _isMoving)
+    this._animatedObjects = new Set();
+    this._frustum = new THREE.Frustum();
+    this._frustumMatrix = new THREE.Matrix4();
+
+    // Progress over the asynchronous half of boot; see loading.js. Loaders
+    // for textures and models should be given `this.loading.manager`.
+    this.loading = new LoadingTracker();
+
+    // Designer overrides currently in effect, in tweaks.js preset form
+    this.tweaks = {};
+
+    // Embedding element (null for the full window) and the scroll container
+    this.container = options.container || null;
+    // Box the canvas fills: the container unless told otherwise
+    this.view = options.view || this.container;
+    this.scroller = options.scroller || window;
+
     // Viewport dimensions object updated on resize
-    this.dimensions = {
-      width: window.innerWidth,
-      height: window.innerHeight
-    };
+    this.dimensions = this._getViewportSize();
 
-    // Normalized mouse position in range -1..1
+    // Normalized pointer position in range -1..1 (mouse, primary touch or tilt)
     this.mouse = new THREE.Vector2(0, 0);
 
     // Clock for delta-time and elapsed-time calculations
     this.clock = new THREE.Clock();
+    // Why the render loop is stopped: 'manual', 'hidden', 'offscreen' and/or
+    // 'context' (WebGL context lost)
+    this._pauseReasons = new Set();
+    // True between webglcontextlost and the rebuild after it is restored
+    this.contextLost = false;
 
     // Accumulated elapsed time in seconds
     this.time = 0;
+    // Time that drives ambient animation; frozen while motion is reduced
+    this.motionTime = 0;
+
+    // ── Motion preference ─────────────────────────────────────────────
+    this.motion = new MotionPreference((options.motion || {}).preference);
+    this.reducedMotion = this.motion.reduced;
+    // Gets the `reduced-motion` class for CSS; per instance, like the theme
+    this._motionRoot = options.themeRoot || this.container || document.documentElement;
+
+    // ── Picking ───────────────────────────────────────────────────────
+    // Hover and click on 3D objects, linked to DOM elements with `link`
+    this.picking = new Picking(this, { target: this.container || window, bounds: this.view, ...options.picking });
+    this.picking.on('enter', (pick) => this.emit('objectenter', pick));
+    this.picking.on('leave', (pick) => this.emit('objectleave', pick));
+    this.picking.on('click', (pick) => this.emit('objectclick', pick));
+    // Triggers / timelines created from the manifest's section animations
+    this._sectionAnimations = [];
+    // Reduced motion snaps to whole sections; this is the progress shown
+    this._displayProgress = 0;
+    this._displaySection = 0;
+    this._needsStillFrame = true;
 
     // ── Scroll state ──────────────────────────────────────────────────
     // Normalised 0..1 progress through entire page
     this.scrollProgress = 0;
-    // Which full-page section (0-based) is currently active
+    // Index into this.sections of the section in the middle of the viewport
     this.currentSection = 0;
     // Raw scroll Y in pixels
     this.scrollY = 0;
-    // Animated heights for the stats bar chart (one per bar)
-    this.barHeights = [0, 0, 0, 0];
-    // Amplitude driven by scroll speed for the showcase wave plane
-    this.waveAmplitude = 0;
-    // Scale multiplier for the contact sphere
-    this.contactSphereScale = 1;
+    // Camera position and look-at target on the rail for the current scroll
+    // progress, before mouse sway
+    this.cameraTarget = new THREE.Vector3(0, 0, 10);
+    this.cameraLookAt = new THREE.Vector3(0, 0, 0);
+    this._cameraShot = { position: this.cameraTarget, target: this.cameraLookAt, fov: 60, roll: 0 };
+    // Eased pointer offset layered on the rail (x sideways, y in and out)
+    this._cameraSway = new THREE.Vector2();
+    this._cameraAxis = new THREE.Vector3();
 
     // Mesh dictionary for quick external / internal access
     this.meshes = {};
+    // Sections built from the manifest, in page order
+    this.sections = [];
+    // Objects with a continuous per-frame rotation ({ object, spin })
+    this._spinners = [];
+    // Plugins added with use(), by plugin (see _createPluginContext)
+    this._plugins = new Map();
 
     // ── Boot sequence ─────────────────────────────────────────────────
     this._initRenderer();
     this._initCamera();
     this._initLights();
-    this._initGeometries();
+    this._initTheme();
     this._initShaders();
+    this._initGeometries();
     this._initParticleSystem();
-    this._initPostProcessing();
+    // Pass chain, order and parameters come from the manifest (see
+    // postfx.js); the composer is assembled during boot
+    this.postfx = new PostProcessing(this, this.manifest.postprocessing);
     this._initEventListeners();
 
-    // Allow DOM / GSAP ScrollTrigger to settle before wiring scroll
-    setTimeout(() => this._initScrollAnimations(), 100);
+    // Apply the starting tier and follow the governor from here on
+    this._applyQualityTier(this.quality.tier);
+    this.quality.on('change', (tier) => this._applyQualityTier(tier));
+
+    // Same for the reduced-motion profile, which follows the media query live
+    this._applyMotionProfile(this.reducedMotion);
+    this.motion.on('change', (reduced) => this._applyMotionProfile(reduced));
+
+    // Plugins given up front are set up before anything loads
+    (options.plugins || []).forEach((plugin) => this.use(plugin));
+
+    // Resolves once everything is loaded and the first frame is on screen
+    this.ready = this._boot();
+    if (this.errorOverlay) this.ready.catch((err) => this.errorOverlay.addError(err, 'Boot failed'));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // BOOT
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Asynchronous half of the boot sequence. Imports, particle sources,
+   * fonts and shader compilation are reported through this.loading; the
+   * render loop starts once shaders are compiled and the promise settles
+   * after the first frame has been drawn.
+   */
+  async _boot() {
+    const sources = new Set(this.formations.map((formation) => formation.loading).filter(Boolean));
+
+    await Promise.all([
+      this._initPostProcessing(),
+      this.loading.track('shader sources', this.shaders.whenLoaded()),
+      ...this.sections.filter(({ stats }) => stats).map((section) => this.loading.track('stats', this._initStats(section))),
+      // Scroll positions are only final once web fonts have laid out
+      this.loading.track('fonts', document.fonts ? document.fonts.ready : null),
+      ...[...sources].map((loading) => this.loading.track('particles', loading, { weight: 2 }))
+    ]);
+    // Textures, models and LUTs requested through this.loading.manager
+    await this.loading.whenIdle();
+
+    // Defaults are captured before the manifest's preset is layered on top
+    this._tweakDefaults = getTweaks(this);
+    this.setTweaks(this.manifest.tweaks || {});
+
+    await this.loading.track('shaders', this._compileShaders(), { weight: 3 });
+    if (this._destroyed) return;
+
+    this._initScrollAnimations();
+
+    // While paused, the first frame waits for resume()
+    const firstFrame = new Promise((resolve) => { this._onFirstFrame = resolve; });
+    this._looping = true;
+    if (!this.paused) this._tick();
+    await this.loading.track('first frame', firstFrame);
+    this.emit('ready');
+
+    if (this.debugMode) this.toggleDebug();
+  }
 
-    // Start the render loop
-    this._tick();
+  /**
+   * Compiles every material in the scene up front so no section stalls on
+   * its first appearance. compileAsync (three r158+) lets drivers with
+   * KHR_parallel_shader_compile work in the background; older builds fall
+   * back to the blocking compile() after giving the loader a frame to paint.
+   */
+  async _compileShaders() {
+    const { renderer, scene, camera } = this;
+    if (typeof renderer.compileAsync === 'function') {
+      await renderer.compileAsync(scene, camera);
+      return;
+    }
+    await new Promise((resolve) => requestAnimationFrame(resolve));
+    renderer.compile(scene, camera);
   }
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -76,8 +455,8 @@ export default class Experience {
       alpha: true
     });
 
-    // Cap pixel-ratio at 2 to balance quality vs performance
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    // Pixel ratio is capped by the active quality tier
+    this.renderer.setPixelRatio(this._getPixelRatio());
     this.renderer.setSize(this.dimensions.width, this.dimensions.height);
 
     // Enable soft shadow mapping
@@ -101,10 +480,12 @@ export default class Experience {
   // ─────────────────────────────────────────────────────────────────────────
   _initCamera() {
     const { width, height } = this.dimensions;
+    // Rail shape, default FoV and pointer sway (see camera-rail.js)
+    this.cameraOptions = { ...CAMERA_DEFAULTS, ...this.manifest.camera };
 
-    // Perspective camera with 60° FoV
+    // Perspective camera, 60° FoV unless the manifest says otherwise
     this.camera = new THREE.PerspectiveCamera(
-      60,
+      this.cameraOptions.fov,
       width / height,
       0.1,
       200
@@ -121,10 +502,12 @@ export default class Experience {
   _initLights() {
     // Soft ambient fill so nothing is completely black
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.4);
+    this.ambientLight = ambientLight;
     this.scene.add(ambientLight);
 
     // Warm key light coming from upper-right-front
     const warmLight = new THREE.DirectionalLight(0xff9966, 1.5);
+    this.warmLight = warmLight;
     warmLight.position.set(5, 5, 5);
     warmLight.castShadow = true;
     // Shadow map resolution
@@ -136,6 +519,7 @@ export default class Experience {
 
     // Cool fill light from the opposite side for colour contrast
     const coolLight = new THREE.DirectionalLight(0x6699ff, 1.2);
+    this.coolLight = coolLight;
     coolLight.position.set(-5, 3, -3);
     this.scene.add(coolLight);
 
@@ -145,832 +529,1158 @@ export default class Experience {
   }
 
   // ─────────────────────────────────────────────────────────────────────────
-  // GEOMETRIES  (one group per scroll section)
+  // THEME
   // ─────────────────────────────────────────────────────────────────────────
-  _initGeometries() {
-    // ── Section 0 – Hero ─────────────────────────────────────────────
-    this.heroGroup = new THREE.Group();
-    this.heroGroup.position.y = 0;
-    this.scene.add(this.heroGroup);
-
-    const heroGeo = new THREE.TorusKnotGeometry(1.2, 0.4, 200, 32);
-    const heroMat = new THREE.MeshStandardMaterial({
-      color: 0x6633cc,
-      metalness: 0.7,
-      roughness: 0.2,
-      wireframe: true
-    });
-    const heroMesh = new THREE.Mesh(heroGeo, heroMat);
-    this.heroGroup.add(heroMesh);
-    this.meshes.hero = heroMesh;
-
-    // ── Section 1 – Features ─────────────────────────────────────────
-    this.featuresGroup = new THREE.Group();
-    this.featuresGroup.position.y = -10;
-    this.scene.add(this.featuresGroup);
-
-    const featureColors = [0xff6b6b, 0x4ecdc4, 0x45b7d1];
-    const featureXPositions = [-2.5, 0, 2.5];
-    this.meshes.features = [];
-
-    featureXPositions.forEach((xPos, i) => {
-      const geo = new THREE.IcosahedronGeometry(0.6, 1);
-      const mat = new THREE.MeshStandardMaterial({
-        color: featureColors[i],
-        metalness: 0.6,
-        roughness: 0.3
-      });
-      const mesh = new THREE.Mesh(geo, mat);
-      mesh.position.x = xPos;
-      mesh.castShadow = true;
-      mesh.receiveShadow = true;
-      this.featuresGroup.add(mesh);
-      this.meshes.features.push(mesh);
-    });
+  /**
+   * Registers the manifest's own `themes` and applies its `theme` straight
+   * away, so the page is styled before anything has loaded.
+   */
+  _initTheme() {
+    Object.entries(this.manifest.themes || {}).forEach(([name, theme]) => registerTheme(name, theme));
+
+    // Colours currently shown, by theme path ('torus.base'); setTheme() tweens these
+    this.themeColors = {};
+    // Material and uniform colours that copy a theme colour ({ key, color })
+    this._themeBindings = [];
+
+    // `{ light, dark }` themes switch along with the OS colour scheme
+    this._colorSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+    this._onColorSchemeChange = () => {
+      if (this._themeSchemes) this.setTheme(this._themeSchemes);
+    };
+    this._colorSchemeQuery.addEventListener('change', this._onColorSchemeChange);
 
-    // ── Section 2 – Showcase ─────────────────────────────────────────
-    this.showcaseGroup = new THREE.Group();
-    this.showcaseGroup.position.y = -20;
-    this.scene.add(this.showcaseGroup);
-
-    // High-subdivision plane used for GPU vertex-shader wave deformation
-    const showcaseGeo = new THREE.PlaneGeometry(8, 6, 128, 128);
-    const showcaseMat = new THREE.MeshStandardMaterial({
-      color: 0x9966ff,
-      side: THREE.DoubleSide,
-      metalness: 0.5,
-      roughness: 0.4
-    });
-    const showcaseMesh = new THREE.Mesh(showcaseGeo, showcaseMat);
-    // Tilt the plane for a dramatic angled look
-    showcaseMesh.rotation.x = -Math.PI / 3;
-    this.showcaseGroup.add(showcaseMesh);
-    this.meshes.showcase = showcaseMesh;
-
-    // ── Section 3 – Stats ────────────────────────────────────────────
-    this.statsGroup = new THREE.Group();
-    this.statsGroup.position.y = -30;
-    this.scene.add(this.statsGroup);
-
-    // Bar-chart geometry: four pillars with different target heights
-    const barBaseHeights = [2, 3, 2.5, 3.5];
-    const barColors = [0xff6b6b, 0x4ecdc4, 0xffd93d, 0x6c5ce7];
-    const barXPositions = [-2.25, -0.75, 0.75, 2.25];
-    this.meshes.bars = [];
-
-    barXPositions.forEach((xPos, i) => {
-      const geo = new THREE.BoxGeometry(0.6, barBaseHeights[i], 0.6);
-      const mat = new THREE.MeshStandardMaterial({
-        color: barColors[i],
-        metalness: 0.4,
-        roughness: 0.5
-      });
-      const bar = new THREE.Mesh(geo, mat);
-      bar.position.x = xPos;
-      // Store the full target height so we can animate from 0
-      bar.userData.targetHeight = barBaseHeights[i];
-      bar.castShadow = true;
-      this.statsGroup.add(bar);
-      this.meshes.bars.push(bar);
-    });
+    this.setTheme(this.manifest.theme || DEFAULT_THEME, { duration: 0 });
+  }
 
-    // ── Section 4 – Contact ──────────────────────────────────────────
-    this.contactGroup = new THREE.Group();
-    this.contactGroup.position.y = -40;
-    this.scene.add(this.contactGroup);
-
-    // Outer point-cloud sphere
-    const contactSphereGeo = new THREE.SphereGeometry(1.5, 64, 64);
-    const contactPointsMat = new THREE.PointsMaterial({
-      color: 0xffffff,
-      size: 0.02,
-      sizeAttenuation: true
+  /**
+   * Switches the colour theme of the scene and the page together, tweening
+   * from the colours currently shown (instantly under reduced motion).
+   * `theme` is a registered name, a theme object (see themes.js) or
+   * `{ light, dark }` to follow `prefers-color-scheme`. Resolves once the
+   * colours have settled or a newer setTheme() call takes over.
+   */
+  setTheme(theme, { duration = 1, ease = 'power2.inOut' } = {}) {
+    const follow = !!theme && typeof theme === 'object' && !theme.colors;
+    const selected = follow
+      ? (this._colorSchemeQuery.matches ? theme.light : theme.dark) || theme.dark || theme.light
+      : theme;
+    const { scheme, colors } = resolveTheme(selected);
+    this._themeSchemes = follow ? theme : null;
+    this.theme = selected;
+    this.themeScheme = scheme;
+
+    if (this._themeTween) this._themeTween.kill();
+    const from = {};
+    const to = {};
+    Object.entries(colors).forEach(([key, value]) => {
+      if (!this.themeColors[key]) this.themeColors[key] = new THREE.Color(value);
+      from[key] = this.themeColors[key].clone();
+      to[key] = new THREE.Color(value);
     });
-    const contactPoints = new THREE.Points(contactSphereGeo, contactPointsMat);
-    this.contactGroup.add(contactPoints);
-    this.meshes.contactPoints = contactPoints;
-
-    // Inner solid wireframe sphere for depth
-    const innerSphereGeo = new THREE.SphereGeometry(1.0, 32, 32);
-    const innerSphereMat = new THREE.MeshStandardMaterial({
-      color: 0x6c5ce7,
-      wireframe: true
+    const blend = (t) => {
+      Object.keys(to).forEach((key) => this.themeColors[key].lerpColors(from[key], to[key], t));
+      this._applyThemeColors();
+    };
+
+    if (duration <= 0 || this.reducedMotion) {
+      blend(1);
+      return Promise.resolve();
+    }
+
+    const progress = { value: 0 };
+    return new Promise((resolve) => {
+      this._themeTween = gsap.to(progress, {
+        value: 1,
+        duration,
+        ease,
+        onUpdate: () => blend(progress.value),
+        onComplete: resolve,
+        onInterrupt: resolve
+      });
     });
-    const innerSphere = new THREE.Mesh(innerSphereGeo, innerSphereMat);
-    this.contactGroup.add(innerSphere);
-    this.meshes.contactSphere = innerSphere;
   }
 
-  // ─────────────────────────────────────────────────────────────────────────
-  // EVENT LISTENERS
-  // ─────────────────────────────────────────────────────────────────────────
-  _initEventListeners() {
-    // ── Resize ───────────────────────────────────────────────────────
-    window.addEventListener('resize', () => {
-      // Update cached dimensions
-      this.dimensions.width = window.innerWidth;
-      this.dimensions.height = window.innerHeight;
-
-      // Keep camera aspect ratio correct
-      this.camera.aspect = this.dimensions.width / this.dimensions.height;
-      this.camera.updateProjectionMatrix();
+  /**
+   * Whether `color` follows the theme; tweaks.js leaves these alone.
+   */
+  isThemeColor(color) {
+    return this._themeBindings.some((binding) => binding.color === color);
+  }
 
-      // Resize renderer and composer to match new viewport
-      this.renderer.setSize(this.dimensions.width, this.dimensions.height);
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  /**
+   * A new THREE.Color that follows the theme colour `reference` ('@path').
+   */
+  _bindThemeColor(reference) {
+    const keys = getThemeKeys(this.themeColors, reference);
+    if (!keys || keys.length !== 1) {
+      throw new Error(`[Experience] "${reference}" is not a single theme colour; name one, e.g. "@features.0".`);
+    }
+    const color = this.themeColors[keys[0]].clone();
+    this._themeBindings.push({ key: keys[0], color });
+    return color;
+  }
 
-      if (this.composer) {
-        this.composer.setSize(this.dimensions.width, this.dimensions.height);
-      }
-    });
+  /**
+   * Pushes the colours currently shown into CSS, the bound materials and
+   * uniforms, the galaxy and any particle sources coloured by the theme.
+   */
+  _applyThemeColors() {
+    applyThemeCSS(this.themeColors, this.themeScheme, this.options.themeRoot);
+    this._themeBindings.forEach(({ key, color }) => color.copy(this.themeColors[key]));
 
-    // ── Mouse move ───────────────────────────────────────────────────
-    window.addEventListener('mousemove', (event) => {
-      // Normalise to -1..1 range (x: left=-1 right=1, y: top=1 bottom=-1)
-      this.mouse.x = (event.clientX / this.dimensions.width) * 2 - 1;
-      this.mouse.y = -(event.clientY / this.dimensions.height) * 2 + 1;
-    });
+    if (this.galaxyParams) Object.assign(this.galaxyParams, this._getGalaxyColors());
+    if (this.particleSystem) {
+      const attribute = this.particleSystem.geometry.attributes.aColor;
+      colorGalaxy(this._galaxyGradient, this.themeColors['galaxy.inside'], this.themeColors['galaxy.outside'], attribute.array);
+      attribute.needsUpdate = true;
+    }
+    if (this.formations) {
+      new Set(this.formations).forEach((formation) => {
+        if (formation.themeColors) this._recolorFormation(formation);
+      });
+    }
 
-    // ── Scroll ───────────────────────────────────────────────────────
-    window.addEventListener('scroll', () => {
-      // Store raw pixel scroll offset for use in _tick and scroll animations
-      this.scrollY = window.scrollY;
+    this._needsStillFrame = true;
+  }
 
-      // Compute 0..1 progress through the entire scrollable document
-      const maxScroll =
-        document.documentElement.scrollHeight - window.innerHeight;
-      this.scrollProgress = maxScroll > 0 ? this.scrollY / maxScroll : 0;
+  _getGalaxyColors() {
+    return {
+      insideColor: `#${this.themeColors['galaxy.inside'].getHexString()}`,
+      outsideColor: `#${this.themeColors['galaxy.outside'].getHexString()}`
+    };
+  }
 
-      // Derive which section (full viewport heights) we are in
-      this.currentSection = Math.floor(
-        this.scrollY / this.dimensions.height
-      );
-    });
+  /**
+   * Sampled colours are sRGB canvas values, so the stops are given as sRGB.
+   */
+  _recolorFormation(formation) {
+    const { keys, options } = formation.themeColors;
+    const stops = keys.map((key) => this.themeColors[key].getRGB({}, THREE.SRGBColorSpace));
+    recolorText(formation.positions, formation.colorAttribute.array, stops, options);
+    formation.colorAttribute.needsUpdate = true;
   }
 
-  // ════════════════════════════════════════════════════════════════
-  // PASS 2 & 3: SHADERS, PARTICLES, POST-PROCESSING
-  // ════════════════════════════════════════════════════════════════
+  // ─────────────────────────────────────────────────────────────────────────
+  // GEOMETRIES  (one group per manifest section)
+  // ─────────────────────────────────────────────────────────────────────────
+  _initGeometries() {
+    const { spacing, sections } = this.manifest;
+
+    sections.forEach((config) => {
+      const section = this._createSection(config);
+      if (!section) return;
+      section.index = this.sections.length;
+      section.group.position.y = -section.index * spacing;
+      this.sections.push(section);
+    });
 
-_getTorusVertexShader() {
-    return `
-      uniform float uTime;
-      uniform float uScrollProgress;
+    this._initCameraRail();
+    this._updateCameraTarget(0);
+  }
 
-      varying vec3 vPosition;
-      varying vec3 vNormal;
-      varying float vDisplacement;
-      varying vec3 vColor;
+  /**
+   * Builds a section from its manifest entry: its group (added to the
+   * scene, not yet placed) and objects. Returns null when no element
+   * matches, which leaves the section out of the layout entirely.
+   */
+  _createSection(config) {
+    const element = config.element || this._query(config.selector);
+    if (!element) {
+      console.warn(`[Experience] Section "${config.id}" skipped: no element matches "${config.selector}".`);
+      return null;
+    }
 
-      vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-      vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-      vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
-      vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+    const group = new THREE.Group();
+    this.scene.add(group);
 
-      float snoise(vec3 v) {
-        const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+    const section = { id: config.id, index: -1, config, element, group, meshes: {} };
+    // Stats are read during boot, when their bars are added (_initStats)
+    if (config.stats) section.stats = new StatsBinding(this, element, config.stats);
 
-        vec3 i  = floor(v + dot(v, C.yyy));
-        vec3 x0 = v - i + dot(i, C.xxx);
+    (config.objects || []).forEach((objectConfig) => {
+      const object = this._createObject(objectConfig);
+      group.add(object);
+      this._registerMesh(section.meshes, objectConfig, object);
+      this._registerMesh(this.meshes, objectConfig, object);
+      if (objectConfig.link) this._linkObject(section, objectConfig.link, object);
 
-        vec3 g = step(x0.yzx, x0.xyz);
-        vec3 l = 1.0 - g;
-        vec3 i1 = min(g.xyz, l.zxy);
-        vec3 i2 = max(g.xyz, l.zxy);
+      if (objectConfig.spin) {
+        // The starting rotation lets a capture rewind the spin
+        this._spinners.push({ object, spin: objectConfig.spin, rotation: object.rotation.clone() });
+      }
+    });
 
-        vec3 x1 = x0 - i1 + C.xxx;
-        vec3 x2 = x0 - i2 + C.yyy;
-        vec3 x3 = x0 - D.yyy;
+    return section;
+  }
 
-        i = mod289(i);
-        vec4 p = permute(permute(permute(
-          i.z + vec4(0.0, i1.z, i2.z, 1.0))
-          + i.y + vec4(0.0, i1.y, i2.y, 1.0))
-          + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+  /**
+   * Reads a section's stats and adds one bar per stat, built from the
+   * manifest's `stats.bar` object entry and laid out in a centred row.
+   * Bars stand on a shared baseline and are coloured '@bars.<i>' unless
+   * the entry sets a colour.
+   */
+  async _initStats(section) {
+    const stats = await section.stats.load();
+    // Removed (or the whole scene destroyed) while the stats were loading
+    if (this._destroyed || !this.sections.includes(section)) return;
+
+    const { spacing = 1.5, ...bar } = section.config.stats.bar || {};
+    const { maxHeight } = section.stats.options;
+    const palette = getThemeKeys(this.themeColors, '@bars');
+
+    stats.forEach((stat, i) => {
+      const material = bar.material || {};
+      const config = {
+        geometry: { type: 'BoxGeometry', args: [0.6, 1, 0.6] },
+        ...bar,
+        material: { ...material, params: { color: `@${palette[i % palette.length]}`, ...material.params } },
+        collection: 'bars',
+        position: [(i - (stats.length - 1) / 2) * spacing, -maxHeight / 2, 0]
+      };
+      const mesh = this._createObject(config);
+      // Grow upward from the baseline rather than out from the centre
+      mesh.geometry.translate(0, 0.5, 0);
+      section.group.add(mesh);
+      this._registerMesh(section.meshes, config, mesh);
+      this._registerMesh(this.meshes, config, mesh);
+      if (bar.link) this._linkObject(section, bar.link, mesh);
+      section.stats.attach(stat, mesh);
+    });
+  }
 
-        float n_ = 0.142857142857;
-        vec3 ns = n_ * D.wyz - D.xzx;
+  /**
+   * Builds a Mesh (or Points) from a manifest object entry.
+   */
+  _createObject(config) {
+    const { type: geometryType, args = [] } = config.geometry;
+    const geometry = new THREE[geometryType](...args);
+    const material = this._createMaterial(config.material);
+
+    const ObjectType = config.type === 'Points' ? THREE.Points : THREE.Mesh;
+    const object = new ObjectType(geometry, material);
+    if (material.uniforms && material.uniforms.uTime) this._animatedObjects.add(object);
+
+    if (config.position) object.position.fromArray(config.position);
+    if (config.rotation) object.rotation.fromArray(config.rotation);
+    if (config.scale) object.scale.fromArray(config.scale);
+    object.castShadow = !!config.castShadow;
+    object.receiveShadow = !!config.receiveShadow;
+
+    // Geometry height is kept around for animations that grow from zero
+    if (geometry.parameters && geometry.parameters.height !== undefined) {
+      object.userData.targetHeight = geometry.parameters.height;
+    }
 
-        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+    return object;
+  }
 
-        vec4 x_ = floor(j * ns.z);
-        vec4 y_ = floor(j - 7.0 * x_);
+  /**
+   * Resolves a manifest material entry. `{ shader: name }` uses one of the
+   * shared shader materials from _initShaders(); anything else names a
+   * THREE material class. String params that match a THREE constant
+   * (e.g. 'DoubleSide') are resolved so manifests can be plain JSON, and
+   * '@path' params become colours that follow the theme.
+   */
+  _createMaterial(config = {}) {
+    const params = {};
+    Object.entries(config.params || {}).forEach(([key, value]) => {
+      if (isThemeReference(value)) {
+        params[key] = this._bindThemeColor(value);
+      } else {
+        params[key] = typeof value === 'string' && value in THREE ? THREE[value] : value;
+      }
+    });
 
-        vec4 x = x_ * ns.x + ns.yyyy;
-        vec4 y = y_ * ns.x + ns.yyyy;
-        vec4 h = 1.0 - abs(x) - abs(y);
+    if (config.shader) {
+      const shader = this.shaderLibrary[config.shader];
+      if (!shader) {
+        throw new Error(`[Experience] Unknown shader "${config.shader}" in manifest.`);
+      }
+      const { files, ...shaderParams } = shader;
+      const material = new THREE.ShaderMaterial({ ...shaderParams, ...params });
+      if (files) this.shaders.bindMaterial(material, files);
+      return material;
+    }
 
-        vec4 b0 = vec4(x.xy, y.xy);
-        vec4 b1 = vec4(x.zw, y.zw);
+    const MaterialType = THREE[config.type || 'MeshStandardMaterial'];
+    return new MaterialType(params);
+  }
 
-        vec4 s0 = floor(b0) * 2.0 + 1.0;
-        vec4 s1 = floor(b1) * 2.0 + 1.0;
-        vec4 sh = -step(h, vec4(0.0));
+  /**
+   * Makes an object pickable and links it to an element of its section.
+   * `link` is a selector or `{ selector, action, cursor }` (see
+   * picking.js); objects sharing a selector take its matches in order, so
+   * a collection lines up with a list of cards.
+   */
+  _linkObject(section, link, object) {
+    const { selector, ...options } = typeof link === 'string' ? { selector: link } : link;
+    section.links = section.links || {};
+    const index = section.links[selector] || 0;
+    section.links[selector] = index + 1;
+
+    const element = section.element.querySelectorAll(selector)[index] || null;
+    if (!element) {
+      console.warn(`[Experience] No element "${selector}" (#${index + 1}) to link in section "${section.id}".`);
+    }
+    this.picking.add(object, { element, ...options });
+  }
 
-        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
-        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+  /**
+   * Adds an object to a mesh dictionary under its `name`, or appends it to
+   * the array stored under its `collection`.
+   */
+  _registerMesh(dictionary, config, object) {
+    if (config.collection) {
+      (dictionary[config.collection] = dictionary[config.collection] || []).push(object);
+    } else if (config.name) {
+      dictionary[config.name] = object;
+    }
+  }
 
-        vec3 p0 = vec3(a0.xy, h.x);
-        vec3 p1 = vec3(a0.zw, h.y);
-        vec3 p2 = vec3(a1.xy, h.z);
-        vec3 p3 = vec3(a1.zw, h.w);
+  // ─────────────────────────────────────────────────────────────────────────
+  // EVENT LISTENERS
+  // ─────────────────────────────────────────────────────────────────────────
+  _initEventListeners() {
+    // ── Resize ───────────────────────────────────────────────────────
+    this._onResize = this._onResize.bind(this);
+    if (this.view && typeof ResizeObserver !== 'undefined') {
+      // Embedded: follow the view's own box
+      this._resizeObserver = new ResizeObserver(this._onResize);
+      this._resizeObserver.observe(this.view);
+    } else {
+      window.addEventListener('resize', this._onResize);
+    }
 
-        vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
-        p0 *= norm.x;
-        p1 *= norm.y;
-        p2 *= norm.z;
-        p3 *= norm.w;
+    // ── Visibility ───────────────────────────────────────────────────
+    // The render loop stops while the tab is hidden or the canvas is
+    // scrolled out of view
+    this._onVisibilityChange = () => this._setPaused('hidden', document.hidden);
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+    this._onVisibilityChange();
+    if (typeof IntersectionObserver !== 'undefined') {
+      this._visibilityObserver = new IntersectionObserver(([entry]) => {
+        this._setPaused('offscreen', !entry.isIntersecting);
+      });
+      this._visibilityObserver.observe(this.canvas);
+    }
 
-        vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-        m = m * m;
-        return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
-      }
+    // ── Pointer / touch / tilt ───────────────────────────────────────
+    // Writes the primary pointer (or device tilt) into this.mouse as -1..1
+    this.input = new InputManager({
+      target: this.container || window,
+      bounds: this.view,
+      ...this.options.input,
+      mouse: this.mouse
+    });
 
-      void main() {
-        vPosition = position;
-        vNormal = normal;
+    // ── Keyboard ─────────────────────────────────────────────────────
+    // Arrows, PageUp/PageDown, Home/End and 1-9 snap between sections;
+    // Shift+D toggles the tweak panel, `?debug` in the URL opens it on load.
+    // Embedded, only while focus is inside the container
+    this._onKeyDown = this._onKeyDown.bind(this);
+    (this.container || window).addEventListener('keydown', this._onKeyDown);
 
-        float displacement = snoise(position * 2.0 + uTime * 0.5) * 0.3;
-        vDisplacement = displacement;
+    // ── Scroll ───────────────────────────────────────────────────────
+    this._onScroll = () => {
+      // Store raw pixel scroll offset for use in _tick and scroll animations
+      const { top, max } = this._getScroll();
+      this.scrollY = top;
 
-        vec3 displacedPosition = position + normal * displacement;
+      // Compute 0..1 progress through the entire scrollable content
+      this.scrollProgress = max > 0 ? top / max : 0;
 
-        float t = (displacedPosition.y + 1.5) / 3.0;
-        t = clamp(t, 0.0, 1.0);
-        vec3 deepPurple = vec3(0.1, 0.0, 0.2);
-        vec3 electricBlue = vec3(0.0, 0.83, 1.0);
-        vColor = mix(deepPurple, electricBlue, t);
+      this._updateCurrentSection();
+      this.scheduler.wake();
+    };
+    this.scroller.addEventListener('scroll', this._onScroll);
 
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(displacedPosition, 1.0);
-      }
-    `;
+    // Wheel or touch input takes over from a running goToSection()
+    this._cancelNavigation = () => {
+      if (this._navigationTween) this._navigationTween.kill();
+    };
+    this.scroller.addEventListener('wheel', this._cancelNavigation, { passive: true });
+    this.scroller.addEventListener('touchstart', this._cancelNavigation, { passive: true });
+
+    // ── WebGL context ────────────────────────────────────────────────
+    // Lost under GPU memory pressure or a driver reset; rendering pauses
+    // until the browser restores it, then everything on the GPU is rebuilt
+    this._onContextLost = this._onContextLost.bind(this);
+    this._onContextRestored = this._onContextRestored.bind(this);
+    this.canvas.addEventListener('webglcontextlost', this._onContextLost);
+    this.canvas.addEventListener('webglcontextrestored', this._onContextRestored);
   }
 
-  _getTorusFragmentShader() {
-    return `
-      varying vec3 vPosition;
-      varying vec3 vNormal;
-      varying float vDisplacement;
-      varying vec3 vColor;
-
-      void main() {
-        vec3 viewDir = normalize(cameraPosition - vPosition);
-        vec3 norm = normalize(vNormal);
+  // ════════════════════════════════════════════════════════════════
+  // PASS 2 & 3: SHADERS, PARTICLES, POST-PROCESSING
+  // ════════════════════════════════════════════════════════════════
 
-        float fresnel = pow(1.0 - abs(dot(norm, viewDir)), 3.0);
-        fresnel = clamp(fresnel, 0.0, 1.0);
+  _initShaders() {
+    // GLSL lives in src/shaders (see shader-loader.js). Compile errors are
+    // reported against those files; served from localhost or with `?dev`,
+    // edits are hot-swapped into the running materials.
+    const dev = ['localhost', '127.0.0.1'].includes(window.location.hostname)
+      || new URLSearchParams(window.location.search).has('dev');
+    this.shaders = new ShaderLoader({
+      webgl2: this.renderer.capabilities.isWebGL2,
+      hotReload: dev,
+      ...this.options.shaders
+    });
+    this.renderer.debug.onShaderError = (...args) => this.shaders.reportError(...args);
+    if (this.errorOverlay) {
+      this.shaders.on('error', (errors) => this.errorOverlay.addShaderErrors(errors));
+      // Edited sources recompile; whatever still fails is reported again
+      this.shaders.on('change', () => this.errorOverlay.clear('shader:'));
+    }
 
-        float shimmer = sin(vDisplacement * 10.0) * 0.5 + 0.5;
+    this.torusUniforms = {
+      uTime: { value: 0.0 },
+      uScrollProgress: { value: 0.0 },
+      uBaseColor: { value: this._bindThemeColor('@torus.base') },
+      uHighlightColor: { value: this._bindThemeColor('@torus.highlight') }
+    };
 
-        vec3 color = vColor;
-        color += vec3(shimmer) * 0.15;
-        color = mix(color, vec3(1.0), fresnel * 0.6);
+    this.waveUniforms = {
+      uTime: { value: 0.0 },
+      uAmplitude: { value: 0.5 },
+      uScrollProgress: { value: 0.0 },
+      uLowColor: { value: this._bindThemeColor('@wave.low') },
+      uMidColor: { value: this._bindThemeColor('@wave.mid') },
+      uHighColor: { value: this._bindThemeColor('@wave.high') }
+    };
 
-        gl_FragColor = vec4(color, 1.0);
-      }
-    `;
-  }
-
-  _getWaveVertexShader() {
-    return `
-      uniform float uTime;
-      uniform float uAmplitude;
-      uniform float uScrollProgress;
-
-      varying float vHeight;
-      varying vec3 vNormal;
-      varying vec3 vPosition;
-
-      void main() {
-        vec3 pos = position;
-        float wave = sin(pos.x * 3.0 + uTime) * cos(pos.z * 2.0 + uTime * 0.7) * uAmplitude;
-        pos.y += wave;
-        vHeight = wave;
-        vPosition = pos;
-        vNormal = normal;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+    // Shader materials the manifest can reference by name. Every material
+    // built from an entry shares its uniforms object, so one update per
+    // frame drives all of them. `files` name the .glsl sources; entries
+    // may give `vertexShader` / `fragmentShader` strings instead.
+    this.shaderLibrary = {
+      torus: {
+        files: { vertexShader: 'torus.vert', fragmentShader: 'torus.frag' },
+        uniforms: this.torusUniforms,
+        side: THREE.DoubleSide
+      },
+      wave: {
+        files: { vertexShader: 'wave.vert', fragmentShader: 'wave.frag' },
+        uniforms: this.waveUniforms,
+        side: THREE.DoubleSide,
+        transparent: true
       }
-    `;
+    };
   }
 
-  _getWaveFragmentShader() {
-    return `
-      uniform float uTime;
+  _initParticleSystem() {
+    // Allocate for the most expensive tier; cheaper tiers shrink the draw range
+    const count = this.quality.maxTier.particles;
+
+    // Shape, colours and sizes come from galaxy.js, the colours from the
+    // theme. The seed is fixed here so regenerateGalaxy() only changes what
+    // its params change.
+    this.galaxyParams = { ...GALAXY_DEFAULTS, ...this.manifest.galaxy, ...this._getGalaxyColors() };
+    if (this.galaxyParams.seed === null) this.galaxyParams.seed = Math.floor(this.random() * 1e6);
+    const galaxy = createGalaxy(count, this.galaxyParams);
+    // Kept so theme changes can recolour the galaxy without regenerating it
+    this._galaxyGradient = galaxy.gradient;
+
+    // One target shape per section; the first doubles as the rest position
+    this.formations = this._createFormations(count);
+    this._morphIndex = -1;
+    this._particleSpin = 1;
+    this._particleSpinAngle = 0;
 
-      varying float vHeight;
-      varying vec3 vNormal;
-      varying vec3 vPosition;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this.formations[0].positions.slice(), 3));
+    geometry.setAttribute('aScale', new THREE.BufferAttribute(galaxy.scales, 1));
+    geometry.setAttribute('aRandomness', new THREE.BufferAttribute(galaxy.randomness, 3));
+    geometry.setAttribute('aPhase', new THREE.BufferAttribute(galaxy.phases, 1));
+    geometry.setAttribute('aColor', new THREE.BufferAttribute(galaxy.colors, 3));
 
-      void main() {
-        vec3 viewDir = normalize(cameraPosition - vPosition);
-        vec3 norm = normalize(vNormal);
+    this.particleUniforms = {
+      uTime: { value: 0.0 },
+      uScrollProgress: { value: 0.0 },
+      uMouse: { value: new THREE.Vector2(0, 0) },
+      uSize: { value: 2.0 },
+      uMorph: { value: 0.0 },
+      tPosition: { value: null }
+    };
 
-        float fresnel = pow(1.0 - abs(dot(norm, viewDir)), 2.5);
-        fresnel = clamp(fresnel, 0.0, 1.0);
+    // GPU physics when float render targets are available, otherwise the
+    // stateless shader path
+    this.particleSimulation = null;
+    const simulationOptions = this.options.particleSimulation;
+    if (simulationOptions !== false && ParticleSimulation.isSupported(this.renderer)) {
+      try {
+        this.particleSimulation = new ParticleSimulation(this.renderer, geometry, simulationOptions);
+      } catch (err) {
+        console.warn('[Experience] Particle simulation unavailable, using stateless particles.', err);
+      }
+    }
 
-        float t = clamp((vHeight + 1.0) * 0.5, 0.0, 1.0);
+    if (this.particleSimulation) {
+      this.shaders.use(
+        { position: 'simulation-position.frag', velocity: 'simulation-velocity.frag' },
+        (sources) => this.particleSimulation.setShaders(sources)
+      );
+      this.formations.forEach((formation) => {
+        formation.texture = this.particleSimulation.createTargetTexture(formation.positions);
+      });
+    }
 
-        vec3 deepBlue = vec3(0.0, 0.05, 0.3);
-        vec3 cyan = vec3(0.0, 0.8, 1.0);
-        vec3 magenta = vec3(1.0, 0.0, 0.8);
+    const particleMaterial = new THREE.ShaderMaterial({
+      uniforms: this.particleUniforms,
+      defines: this.particleSimulation ? { USE_SIMULATION: '' } : {},
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      vertexColors: false
+    });
 
-        vec3 color = mix(deepBlue, cyan, t);
-        color = mix(color, magenta, t * t);
+    this.shaders.bindMaterial(particleMaterial, { vertexShader: 'particle.vert', fragmentShader: 'particle.frag' });
+    this.particleSystem = new THREE.Points(geometry, particleMaterial);
+    this._animatedObjects.add(this.particleSystem);
 
-        float iridescence = sin(dot(norm, viewDir) * 8.0 + uTime * 2.0) * 0.5 + 0.5;
-        color += vec3(iridescence * 0.1, iridescence * 0.05, iridescence * 0.2);
+    // Formations sampled from text / images arrive asynchronously
+    new Set(this.formations).forEach((formation) => {
+      if (formation.source) this._loadFormationSource(formation, count);
+    });
+    // Simulated particles wander outside the rest-position bounding sphere
+    this.particleSystem.frustumCulled = !this.particleSimulation;
+    // The cloud travels with the camera's look-at target so every section's
+    // formation is in view
+    this.particleSystem.position.y = this.cameraLookAt.y;
+    this.scene.add(this.particleSystem);
+  }
 
-        color = mix(color, vec3(0.8, 0.9, 1.0), fresnel * 0.5);
+  async _initPostProcessing() {
+    await this.postfx.init();
+    if (this._destroyed) return;
 
-        gl_FragColor = vec4(color, 0.85);
-      }
-    `;
-  }
-
-  _getParticleVertexShader() {
-    return `
-      attribute float aScale;
-      attribute vec3 aRandomness;
-      attribute float aPhase;
-      attribute vec3 aColor;
-
-      uniform float uTime;
-      uniform float uScrollProgress;
-      uniform vec2 uMouse;
-      uniform float uSize;
-
-      varying vec3 vColor;
-      varying float vAlpha;
-
-      vec3 mod289v3(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-      vec4 mod289v4(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-      vec4 permute4(vec4 x) { return mod289v4(((x * 34.0) + 1.0) * x); }
-      vec4 taylorInvSqrt4(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
-
-      float snoise3(vec3 v) {
-        const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-        const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
-        vec3 i  = floor(v + dot(v, C.yyy));
-        vec3 x0 = v - i + dot(i, C.xxx);
-        vec3 g = step(x0.yzx, x0.xyz);
-        vec3 l = 1.0 - g;
-        vec3 i1 = min(g.xyz, l.zxy);
-        vec3 i2 = max(g.xyz, l.zxy);
-        vec3 x1 = x0 - i1 + C.xxx;
-        vec3 x2 = x0 - i2 + C.yyy;
-        vec3 x3 = x0 - D.yyy;
-        i = mod289v3(i);
-        vec4 p = permute4(permute4(permute4(
-          i.z + vec4(0.0, i1.z, i2.z, 1.0))
-          + i.y + vec4(0.0, i1.y, i2.y, 1.0))
-          + i.x + vec4(0.0, i1.x, i2.x, 1.0));
-        float n_ = 0.142857142857;
-        vec3 ns = n_ * D.wyz - D.xzx;
-        vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-        vec4 x_ = floor(j * ns.z);
-        vec4 y_ = floor(j - 7.0 * x_);
-        vec4 x = x_ * ns.x + ns.yyyy;
-        vec4 y = y_ * ns.x + ns.yyyy;
-        vec4 h = 1.0 - abs(x) - abs(y);
-        vec4 b0 = vec4(x.xy, y.xy);
-        vec4 b1 = vec4(x.zw, y.zw);
-        vec4 s0 = floor(b0) * 2.0 + 1.0;
-        vec4 s1 = floor(b1) * 2.0 + 1.0;
-        vec4 sh = -step(h, vec4(0.0));
-        vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
-        vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
-        vec3 p0 = vec3(a0.xy, h.x);
-        vec3 p1 = vec3(a0.zw, h.y);
-        vec3 p2 = vec3(a1.xy, h.z);
-        vec3 p3 = vec3(a1.zw, h.w);
-        vec4 norm = taylorInvSqrt4(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
-        p0 *= norm.x; p1 *= norm.y; p2 *= norm.z; p3 *= norm.w;
-        vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-        m = m * m;
-        return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
-      }
+    this._applyQualityTier(this.quality.tier);
+  }
 
-      vec3 curlNoise(vec3 p) {
-        float eps = 0.01;
-        float n1, n2;
-        vec3 curl;
+  // ════════════════════════════════════════════════════════════════
+  // PASS 2: SCROLL ANIMATIONS, RENDER LOOP, LIFECYCLE
+  // ════════════════════════════════════════════════════════════════
 
-        n1 = snoise3(p + vec3(0.0, eps, 0.0));
-        n2 = snoise3(p - vec3(0.0, eps, 0.0));
-        curl.x = (n1 - n2) / (2.0 * eps);
+  _initScrollAnimations() {
+    gsap.registerPlugin(ScrollTrigger);
 
-        n1 = snoise3(p + vec3(0.0, 0.0, eps));
-        n2 = snoise3(p - vec3(0.0, 0.0, eps));
-        curl.y = (n1 - n2) / (2.0 * eps);
+    // Camera driven by scrolling through the whole scroller
+    this._scrollTrigger = ScrollTrigger.create({
+      scroller: this.scroller,
+      start: 0,
+      end: 'max',
+      scrub: true,
+      onUpdate: (self) => {
+        this.scrollProgress = self.progress;
+        const prevY = this._prevScrollY || 0;
+        this._scrollVelocity = self.progress - prevY;
+        this._prevScrollY = self.progress;
+        this._updateDisplayProgress();
+        this.emit('progress', self.progress);
+      }
+    });
 
-        n1 = snoise3(p + vec3(eps, 0.0, 0.0));
-        n2 = snoise3(p - vec3(eps, 0.0, 0.0));
-        curl.z = (n1 - n2) / (2.0 * eps);
+    this._initSectionAnimations();
+    this._scrollReady = true;
 
-        return curl;
-      }
+    // Announce the section the page was loaded at
+    this._updateCurrentSection(true);
+  }
 
-      void main() {
-        vColor = aColor;
+  /**
+   * Runs every section's manifest animations, remembering what they create.
+   */
+  _initSectionAnimations() {
+    this.sections.forEach((section) => this._runSectionAnimations(section));
+  }
 
-        vec3 pos = position;
-        float t = uTime * 0.3 + aPhase;
+  _runSectionAnimations(section) {
+    section.animations = [];
+    (section.config.animations || []).forEach((params) => {
+      const handler = SECTION_ANIMATIONS[params.type];
+      if (!handler) {
+        console.warn(`[Experience] Unknown animation "${params.type}" in section "${section.id}".`);
+        return;
+      }
+      const created = handler.call(this, section, this._resolveTargets(section, params.targets), params) || [];
+      section.animations.push(...created);
+      this._sectionAnimations.push(...created);
+    });
+  }
 
-        vec3 curl = curlNoise(pos * 0.3 + vec3(t * 0.1));
-        pos += curl * 0.5;
+  _killSectionAnimations(section = null) {
+    const killed = section ? section.animations || [] : this._sectionAnimations;
+    killed.forEach((animation) => {
+      if (animation.scrollTrigger) animation.scrollTrigger.kill();
+      animation.kill();
+    });
+    this._sectionAnimations = section
+      ? this._sectionAnimations.filter((animation) => !killed.includes(animation))
+      : [];
+    if (section) section.animations = [];
+  }
 
-        vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
-        vec2 screenPos = mvPosition.xy / mvPosition.w;
+  /**
+   * Follows scroll continuously, or under reduced motion snaps to the
+   * nearest section with a short crossfade of the canvas.
+   */
+  _updateDisplayProgress(immediate = false) {
+    if (!this.reducedMotion) {
+      this._displayProgress = this.scrollProgress;
+      this._updateCameraTarget(this._displayProgress);
+      return;
+    }
 
-        vec2 mouseDir = screenPos - uMouse;
-        float mouseDist = length(mouseDir);
-        float repulsion = smoothstep(0.5, 0.0, mouseDist);
-        vec3 repulsionVec = vec3(normalize(mouseDir) * repulsion * 1.5, 0.0);
-        mvPosition.xyz += repulsionVec;
+    const last = Math.max(this.sections.length - 1, 1);
+    const index = Math.round(this.scrollProgress * last);
+    if (index === this._displaySection && !immediate) return;
+    this._displaySection = index;
 
-        vAlpha = 0.6 + 0.4 * sin(uTime + aPhase);
+    const show = () => {
+      this._displayProgress = index / last;
+      this._updateCameraTarget(this._displayProgress);
+      this._updateCamera();
+      this._needsStillFrame = true;
+    };
 
-        gl_PointSize = uSize * aScale * (300.0 / -mvPosition.z);
-        gl_Position = projectionMatrix * mvPosition;
+    gsap.killTweensOf(this.canvas);
+    if (immediate) {
+      show();
+      this.canvas.style.opacity = '';
+      return;
+    }
+    gsap.to(this.canvas, {
+      opacity: 0,
+      duration: 0.2,
+      ease: 'power1.out',
+      onComplete: () => {
+        show();
+        gsap.to(this.canvas, { opacity: 1, duration: 0.3, ease: 'power1.in' });
       }
-    `;
+    });
   }
 
-  _getParticleFragmentShader() {
-    return `
-      varying vec3 vColor;
-      varying float vAlpha;
+  /**
+   * Switches between the full and reduced-motion profiles: section
+   * animations are rebuilt, the particle shader drops the (continuously
+   * moving) simulation, and CSS gets a `reduced-motion` class on the theme
+   * root (or the container).
+   */
+  _applyMotionProfile(reduced) {
+    this.reducedMotion = reduced;
+    this._motionRoot.classList.toggle('reduced-motion', reduced);
+
+    if (this.particleSystem && this.particleSimulation) {
+      const material = this.particleSystem.material;
+      material.defines = reduced ? {} : { USE_SIMULATION: '' };
+      material.needsUpdate = true;
+    }
 
-      void main() {
-        vec2 uv = gl_PointCoord - vec2(0.5);
-        float dist = length(uv);
+    if (this._scrollReady) {
+      this._killSectionAnimations();
+      this._initSectionAnimations();
+      ScrollTrigger.refresh();
+    }
 
-        if (dist > 0.5) discard;
+    this._displaySection = -1;
+    this._updateDisplayProgress(true);
+    this._needsStillFrame = true;
+  }
 
-        float glow = exp(-dist * dist * 8.0);
-        float alpha = glow * vAlpha;
+  /**
+   * Overrides the reduced-motion media query.
+   *
+   * @param {'system' | 'reduce' | 'no-preference'} preference
+   */
+  setMotionPreference(preference) {
+    this.motion.set(preference);
+  }
 
-        alpha *= smoothstep(0.5, 0.3, dist);
+  /**
+   * Scrolls the page to a 0..1 progress and brings everything driven by
+   * scroll (camera, formations, section animations) up to date at once.
+   */
+  setScrollProgress(progress) {
+    this._scrollTo(progress * this._getScroll().max);
+    this.scrollY = this._getScroll().top;
+    this.scrollProgress = Math.min(Math.max(progress, 0), 1);
+
+    if (this._scrollReady) ScrollTrigger.update();
+    this._updateDisplayProgress(true);
+    this._updateCurrentSection();
+  }
 
-        gl_FragColor = vec4(vColor, alpha);
-      }
-    `;
+  // ─────────────────────────────────────────────────────────────────────────
+  // NAVIGATION
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Finds a section by index or manifest id.
+   */
+  getSection(indexOrId) {
+    if (typeof indexOrId === 'number') return this.sections[indexOrId] || null;
+    return this.sections.find((section) => section.id === indexOrId) || null;
   }
 
-  _initShaders() {
-    if (!this.torusKnot || !this.showcasePlane) return;
+  /**
+   * Scrolls the page to a section; the camera and formations follow the
+   * scroll. Instant under reduced motion. With `focus`, the section's
+   * heading is focused on arrival. Resolves with the section, or null when
+   * the scroll was interrupted by another navigation or by the user.
+   */
+  goToSection(indexOrId, { duration = 1, ease = 'power2.inOut', focus = false } = {}) {
+    const section = this.getSection(indexOrId);
+    if (!section) {
+      console.warn(`[Experience] Unknown section "${indexOrId}".`);
+      return Promise.resolve(null);
+    }
 
-    this.torusUniforms = {
-      uTime: { value: 0.0 },
-      uScrollProgress: { value: 0.0 }
+    const { top: scrollTop, max, viewTop } = this._getScroll();
+    const top = Math.min(Math.max(section.element.getBoundingClientRect().top - viewTop + scrollTop, 0), max);
+    const arrive = () => {
+      this._navigationTarget = null;
+      if (focus) this._focusSection(section);
+      return section;
     };
 
-    const torusMaterial = new THREE.ShaderMaterial({
-      vertexShader: this._getTorusVertexShader(),
-      fragmentShader: this._getTorusFragmentShader(),
-      uniforms: this.torusUniforms,
-      side: THREE.DoubleSide
-    });
-
-    this.torusKnot.material = torusMaterial;
+    if (this._navigationTween) this._navigationTween.kill();
+    this._navigationTarget = section.index;
 
-    this.waveUniforms = {
-      uTime: { value: 0.0 },
-      uAmplitude: { value: 0.5 },
-      uScrollProgress: { value: 0.0 }
-    };
+    if (duration <= 0 || this.reducedMotion) {
+      this._scrollTo(top);
+      return Promise.resolve(arrive());
+    }
 
-    const waveMaterial = new THREE.ShaderMaterial({
-      vertexShader: this._getWaveVertexShader(),
-      fragmentShader: this._getWaveFragmentShader(),
-      uniforms: this.waveUniforms,
-      side: THREE.DoubleSide,
-      transparent: true
+    const scroll = { y: scrollTop };
+    return new Promise((resolve) => {
+      this._navigationTween = gsap.to(scroll, {
+        y: top,
+        duration,
+        ease,
+        onUpdate: () => this._scrollTo(scroll.y),
+        onComplete: () => resolve(arrive()),
+        onInterrupt: () => {
+          this._navigationTarget = null;
+          resolve(null);
+        }
+      });
     });
-
-    this.showcasePlane.material = waveMaterial;
   }
 
-  _initParticleSystem() {
-    const count = 80000;
-    const positions = new Float32Array(count * 3);
-    const scales = new Float32Array(count);
-    const randomness = new Float32Array(count * 3);
-    const phases = new Float32Array(count);
-    const colors = new Float32Array(count * 3);
+  /**
+   * Steps to the following section; repeated calls during a scroll keep
+   * counting from where that scroll is heading.
+   */
+  next(options) {
+    return this.goToSection(Math.min(this._getNavigationIndex() + 1, this.sections.length - 1), options);
+  }
 
-    const palette = [
-      new THREE.Color(0.5, 0.0, 0.8),
-      new THREE.Color(0.0, 0.5, 1.0),
-      new THREE.Color(1.0, 0.0, 0.6),
-      new THREE.Color(1.0, 1.0, 1.0)
-    ];
+  prev(options) {
+    return this.goToSection(Math.max(this._getNavigationIndex() - 1, 0), options);
+  }
 
-    const arms = 3;
+  _getNavigationIndex() {
+    return this._navigationTarget !== null && this._navigationTarget !== undefined
+      ? this._navigationTarget
+      : this.currentSection;
+  }
 
-    for (let i = 0; i < count; i++) {
-      const i3 = i * 3;
+  /**
+   * The scroller's offset (`top`) and scrollable distance (`max`), plus
+   * where its visible box sits in the viewport (`viewTop`, `viewHeight`).
+   */
+  _getScroll() {
+    const { scroller } = this;
+    if (scroller === window) {
+      const max = document.documentElement.scrollHeight - window.innerHeight;
+      return { top: window.scrollY, max: Math.max(max, 0), viewTop: 0, viewHeight: window.innerHeight };
+    }
+    return {
+      top: scroller.scrollTop,
+      max: Math.max(scroller.scrollHeight - scroller.clientHeight, 0),
+      viewTop: scroller.getBoundingClientRect().top + scroller.clientTop,
+      viewHeight: scroller.clientHeight
+    };
+  }
 
-      const r = Math.sqrt(Math.random()) * 5.0;
-      const armIndex = Math.floor(Math.random() * arms);
-      const armOffset = (armIndex / arms) * Math.PI * 2.0;
-      const theta = Math.random() * Math.PI * 2.0 + armOffset + r * 0.5;
-      const y = (Math.random() - 0.5) * 2.0;
+  _scrollTo(top) {
+    // 'instant' skips CSS smooth scrolling on the scroller
+    this.scroller.scrollTo({ top, behavior: 'instant' });
+  }
 
-      positions[i3]     = Math.cos(theta) * r;
-      positions[i3 + 1] = y;
-      positions[i3 + 2] = Math.sin(theta) * r;
+  /**
+   * The current section is the last one whose top has passed the middle
+   * of the viewport. Emits `sectionleave` / `sectionenter` when it changes
+   * (`sectionenter` alone when `force`d).
+   */
+  _updateCurrentSection(force = false) {
+    const { viewTop, viewHeight } = this._getScroll();
+    const middle = viewTop + viewHeight / 2;
+    let index = 0;
+    this.sections.forEach((section, i) => {
+      if (section.element.getBoundingClientRect().top <= middle) index = i;
+    });
+    if (index === this.currentSection && !force) return;
 
-      scales[i] = Math.random() * 1.5 + 0.5;
+    const previous = this.sections[this.currentSection];
+    this.currentSection = index;
+    if (previous && !force) this.emit('sectionleave', previous);
+    if (this.sections[index]) this.emit('sectionenter', this.sections[index]);
+  }
 
-      randomness[i3]     = (Math.random() - 0.5) * 2.0;
-      randomness[i3 + 1] = (Math.random() - 0.5) * 2.0;
-      randomness[i3 + 2] = (Math.random() - 0.5) * 2.0;
+  /**
+   * Moves keyboard focus to the section's heading (or the section itself)
+   * without scrolling, so screen readers follow the navigation.
+   */
+  _focusSection(section) {
+    const target = section.element.querySelector('h1, h2, h3') || section.element;
+    if (!target.hasAttribute('tabindex') && target.tabIndex < 0) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  }
 
-      phases[i] = Math.random() * Math.PI * 2.0;
+  /**
+   * Looks up animation targets by mesh name or collection, first within the
+   * section and then globally. Always returns an array.
+   */
+  _resolveTargets(section, name) {
+    if (!name) return [];
+    const found = section.meshes[name] || this.meshes[name];
+    if (!found) return [];
+    return Array.isArray(found) ? found : [found];
+  }
 
-      const colorChoice = palette[Math.floor(Math.random() * palette.length)];
-      colors[i3]     = colorChoice.r;
-      colors[i3 + 1] = colorChoice.g;
-      colors[i3 + 2] = colorChoice.b;
-    }
+  /**
+   * Builds the camera rail from the sections' manifest `camera` shots. A
+   * section's shot (or array of shots, spread over the scroll towards the
+   * next section unless they set `at`, 0..1) gives `position` and look-at
+   * `target` relative to the section group, `fov` and `roll` in degrees.
+   */
+  _initCameraRail() {
+    const last = Math.max(this.sections.length - 1, 1);
+    const keyframes = [];
+
+    this.sections.forEach((section) => {
+      const shots = [].concat(section.config.camera || {});
+      shots.forEach((shot, i) => {
+        const at = shot.at !== undefined ? shot.at : i / shots.length;
+        keyframes.push({
+          progress: Math.min((section.index + at) / last, 1),
+          position: new THREE.Vector3().fromArray(shot.position || [0, 0, 10]).add(section.group.position),
+          target: new THREE.Vector3().fromArray(shot.target || [0, 0, 0]).add(section.group.position),
+          fov: shot.fov !== undefined ? shot.fov : this.cameraOptions.fov,
+          roll: shot.roll || 0
+        });
+      });
+    });
 
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.setAttribute('aScale', new THREE.BufferAttribute(scales, 1));
-    geometry.setAttribute('aRandomness', new THREE.BufferAttribute(randomness, 3));
-    geometry.setAttribute('aPhase', new THREE.BufferAttribute(phases, 1));
-    geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+    this.cameraRail = keyframes.length > 0 ? new CameraRail(keyframes, this.cameraOptions) : null;
+  }
 
-    this.particleUniforms = {
-      uTime: { value: 0.0 },
-      uScrollProgress: { value: 0.0 },
-      uMouse: { value: new THREE.Vector2(0, 0) },
-      uSize: { value: 2.0 }
-    };
+  /**
+   * Samples the camera rail for a 0..1 page progress.
+   */
+  _updateCameraTarget(progress) {
+    if (this.cameraRail) this.cameraRail.sample(progress, this._cameraShot);
+  }
 
-    const particleMaterial = new THREE.ShaderMaterial({
-      vertexShader: this._getParticleVertexShader(),
-      fragmentShader: this._getParticleFragmentShader(),
-      uniforms: this.particleUniforms,
-      transparent: true,
-      depthWrite: false,
-      blending: THREE.AdditiveBlending,
-      vertexColors: false
+  _updateOnScroll() {
+    // Push page progress into every shared shader
+    Object.values(this.shaderLibrary).forEach(({ uniforms }) => {
+      if (uniforms.uScrollProgress) uniforms.uScrollProgress.value = this.scrollProgress;
     });
 
-    this.particleSystem = new THREE.Points(geometry, particleMaterial);
-    this.particleSystem.position.y = -20;
-    this.scene.add(this.particleSystem);
+    // Plugins hear about the progress the camera shows, when it moves
+    this._plugins.forEach((record) => {
+      if (!record.plugin.onScroll || record.progress === this._displayProgress) return;
+      record.progress = this._displayProgress;
+      record.plugin.onScroll(this._displayProgress, record.context);
+    });
   }
 
-  _initPostProcessing() {
-    const { EffectComposer } = await import('three/examples/jsm/postprocessing/EffectComposer.js').catch(() => ({ EffectComposer: null }));
-    const { RenderPass } = await import('three/examples/jsm/postprocessing/RenderPass.js').catch(() => ({ RenderPass: null }));
-    const { UnrealBloomPass } = await import('three/examples/jsm/postprocessing/UnrealBloomPass.js').catch(() => ({ UnrealBloomPass: null }));
-    const { ShaderPass } = await import('three/examples/jsm/postprocessing/ShaderPass.js').catch(() => ({ ShaderPass: null }));
+  _updateParticles(time, delta) {
+    if (this.particleUniforms) {
+      const u = this.particleUniforms;
+      u.uTime.value = time;
+      u.uScrollProgress.value = this.scrollProgress || 0;
+      u.uMouse.value.copy(this.mouse);
+    }
 
-    if (!EffectComposer || !RenderPass || !UnrealBloomPass || !ShaderPass) {
-      console.warn('Post processing modules not available');
-      return;
+    this._updateFormationMorph();
+
+    if (this.particleSystem) {
+      this.particleSystem.position.y = this.cameraLookAt.y;
+
+      // Slowly rotate the particle system. Formations with `spin: 0` (such
+      // as sampled text) unwind to face the camera as they are morphed in.
+      this._particleSpinAngle += delta * this._particleSpin;
+      this.particleSystem.rotation.y = this._particleSpinAngle * 0.05 * this._particleSpin;
+      this.particleSystem.rotation.x = this._particleSpinAngle * 0.02 * this._particleSpin;
     }
 
-    this.composer = new EffectComposer(this.renderer);
+    if (this.particleSimulation && !this.reducedMotion) {
+      this.particleSimulation.setPointer(this._getParticlePointer());
+      this.particleSimulation.update(time, delta);
+      this.particleUniforms.tPosition.value = this.particleSimulation.positionTexture;
+    }
+  }
 
-    const renderPass = new RenderPass(this.scene, this.camera);
-    this.composer.addPass(renderPass);
+  /**
+   * Resolves every section's `formation` into particle positions. Sections
+   * without one keep the previous section's shape.
+   */
+  _createFormations(count) {
+    const formations = [];
+    let previous = null;
+
+    this.sections.forEach((section) => {
+      const entry = section.config.formation;
+      if (entry) {
+        previous = this._createFormation(entry, count, section);
+      }
+      formations.push(previous || this._createFormation('galaxy', count));
+      previous = formations[formations.length - 1];
+    });
 
-    const bloomPass = new UnrealBloomPass(
-      new THREE.Vector2(window.innerWidth, window.innerHeight),
-      0.8,
-      0.4,
-      0.2
-    );
-    this.composer.addPass(bloomPass);
+    return formations.length > 0 ? formations : [this._createFormation('galaxy', count)];
+  }
 
-    const ChromaticAberrationShader = {
-      uniforms: {
-        tDiffuse: { value: null },
-        uOffset: { value: 0.003 }
-      },
-      vertexShader: `
-        varying vec2 vUv;
-        void main() {
-          vUv = uv;
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform sampler2D tDiffuse;
-        uniform float uOffset;
-        varying vec2 vUv;
-
-        void main() {
-          vec2 direction = vUv - vec2(0.5);
-          float dist = length(direction);
-          vec2 offset = normalize(direction) * uOffset * dist;
-
-          float r = texture2D(tDiffuse, vUv + offset).r;
-          float g = texture2D(tDiffuse, vUv).g;
-          float b = texture2D(tDiffuse, vUv - offset).b;
-
-          gl_FragColor = vec4(r, g, b, 1.0);
-        }
-      `
+  /**
+   * Builds a formation record: positions plus the attribute that carries
+   * them, optional per-formation colours, the morph ease and the spin
+   * weight. `source` entries start as a galaxy placeholder until sampled.
+   * Galaxy formations keep their own params in `galaxy` for regenerateGalaxy().
+   */
+  _createFormation(entry, count, section = null) {
+    const settings = typeof entry === 'object' ? entry : {};
+    // `spin` and `ease` belong to the formation; galaxy.js has a `spin` of its own
+    const { type, spin, ease, source, ...galaxyParams } = settings;
+    const galaxy = entry === 'galaxy' || type === 'galaxy' ? galaxyParams : null;
+    const positions = galaxy || settings.source
+      ? this._createGalaxyPositions(galaxy || {}, count)
+      : createFormation(entry, count, this.random);
+
+    return {
+      positions,
+      attribute: new THREE.BufferAttribute(positions, 3),
+      colorAttribute: null,
+      galaxy,
+      ease: settings.ease || this.manifest.formationEase || 'none',
+      spin: settings.spin !== undefined ? settings.spin : (settings.source ? 0 : 1),
+      source: settings.source ? { ...settings, section } : null
     };
+  }
 
-    const chromaticAberrationPass = new ShaderPass(ChromaticAberrationShader);
-    this.composer.addPass(chromaticAberrationPass);
-    this.chromaticAberrationPass = chromaticAberrationPass;
+  /**
+   * Galaxy formations share the experience's galaxy params (and seed);
+   * a section's entry overrides individual values.
+   */
+  _createGalaxyPositions(overrides, count) {
+    return createFormation({ ...this.galaxyParams, ...overrides, type: 'galaxy' }, count);
   }
 
-  // ════════════════════════════════════════════════════════════════
-  // PASS 2: SCROLL ANIMATIONS, RENDER LOOP, LIFECYCLE
-  // ════════════════════════════════════════════════════════════════
+  /**
+   * Rebuilds the galaxy at runtime: rest positions, colours, sizes and
+   * every galaxy formation. `params` (see galaxy.js) are merged into the
+   * current ones, so the layout only changes where they do; pass a new
+   * `seed` to reroll it.
+   */
+  regenerateGalaxy(params = {}) {
+    this.galaxyParams = { ...this.galaxyParams, ...params };
+    if (!this.particleSystem) return;
+
+    const count = this.quality.maxTier.particles;
+    const galaxy = createGalaxy(count, this.galaxyParams);
+    this._galaxyGradient = galaxy.gradient;
+    const { geometry } = this.particleSystem;
+    const buffers = { aColor: galaxy.colors, aScale: galaxy.scales, aRandomness: galaxy.randomness, aPhase: galaxy.phases };
+    Object.entries(buffers).forEach(([name, array]) => {
+      geometry.attributes[name].array.set(array);
+      geometry.attributes[name].needsUpdate = true;
+    });
 
-  _initScrollAnimations() {
-    gsap.registerPlugin(ScrollTrigger);
+    new Set(this.formations).forEach((formation) => {
+      if (!formation.galaxy) return;
+      formation.positions.set(this._createGalaxyPositions(formation.galaxy, count));
+      formation.attribute.needsUpdate = true;
+      if (formation.texture) {
+        this.particleSimulation.updateTargetTexture(formation.texture, formation.positions);
+      }
+    });
 
-    // Hero mesh elastic scale-up on load
-    if (this.heroMesh) {
-      gsap.from(this.heroMesh.scale, {
-        x: 0, y: 0, z: 0,
-        delay: 0.3,
-        duration: 1.4,
-        ease: 'elastic.out(1, 0.5)'
-      });
+    geometry.attributes.position.array.set(this.formations[0].positions);
+    geometry.attributes.position.needsUpdate = true;
+    // Simulated particles drift over to the new shape rather than jumping
+    if (this.particleSimulation) this.particleSimulation.updateOrigins(geometry);
+    this._needsStillFrame = true;
+  }
+
+  /**
+   * Samples a text, image or SVG source into a formation's buffers. Text
+   * sources given a `selector` are sized and placed to overlay that element
+   * as laid out within its section.
+   */
+  _loadFormationSource(formation, count) {
+    const { source: type, selector, section, ...params } = formation.source;
+    const sampler = PARTICLE_SOURCES[type];
+    if (!sampler) {
+      console.warn(`[Experience] Unknown particle source "${type}".`);
+      return null;
     }
 
-    // Camera Y driven by full-page scroll
-    ScrollTrigger.create({
-      trigger: document.documentElement,
-      start: 'top top',
-      end: 'bottom bottom',
-      scrub: true,
-      onUpdate: (self) => {
-        this.scrollProgress = self.progress;
-        const prevY = this._prevScrollY || 0;
-        this._scrollVelocity = self.progress - prevY;
-        this._prevScrollY = self.progress;
-        if (this.camera) {
-          this.camera.position.y = self.progress * -40;
-        }
+    if (selector) {
+      params.element = this._query(selector);
+      if (params.element && section && params.width === undefined) {
+        Object.assign(params, this._getElementPlacement(params.element, section.element));
       }
-    });
+    }
 
-    // Features: fly-in icosahedrons
-    if (this.featuresMeshes && this.featuresMeshes.length >= 3) {
-      const offsets = [
-        { x: -5, y: 0, z: 0 },
-        { x: 0,  y: 3,  z: 0 },
-        { x: 5,  y: 0, z: 0 }
-      ];
-      this.featuresMeshes.forEach((mesh, i) => {
-        const from = offsets[i];
-        gsap.set(mesh.position, { x: mesh.position.x + from.x, y: mesh.position.y + from.y, z: mesh.position.z + from.z });
-        ScrollTrigger.create({
-          trigger: '.section-features',
-          start: 'top 80%',
-          end: 'bottom 20%',
-          scrub: 1,
-          onEnter: () => {
-            gsap.to(mesh.position, {
-              x: mesh.position.x - from.x * (1 - (i * 0)),
-              y: mesh.position.y - from.y,
-              z: mesh.position.z - from.z,
-              delay: i * 0.2,
-              duration: 1.0,
-              ease: 'back.out(1.7)'
-            });
-          }
-        });
-      });
+    // Text `colors` / SVG path `color` may be theme references; the
+    // particles are then recoloured whenever the theme changes
+    const colorParam = type === 'text' ? 'colors' : 'color';
+    const themeKeys = getThemeKeys(this.themeColors, params[colorParam]);
+    if (themeKeys) {
+      const hexes = themeKeys.map((key) => `#${this.themeColors[key].getHexString()}`);
+      params[colorParam] = type === 'text' ? hexes : hexes[0];
     }
 
-    // Showcase: wave amplitude in and out
-    ScrollTrigger.create({
-      trigger: '.section-showcase',
-      start: 'top 80%',
-      end: 'bottom 20%',
-      scrub: 1,
-      onUpdate: (self) => {
-        const p = self.progress;
-        if (p < 0.5) {
-          this.waveAmplitude = gsap.utils.interpolate(0, 0.5, p * 2);
-        } else {
-          this.waveAmplitude = gsap.utils.interpolate(0.5, 0, (p - 0.5) * 2);
+    // Drawn now, in section order, rather than whenever the load finishes
+    params.random = forkRandom(this.random);
+    formation.loading = sampler(count, params)
+      .then(({ positions, colors }) => {
+        formation.positions.set(positions);
+        formation.attribute.needsUpdate = true;
+        formation.colorAttribute = new THREE.BufferAttribute(colors, 3);
+        if (themeKeys) {
+          formation.themeColors = { keys: themeKeys, options: params };
+          this._recolorFormation(formation);
         }
-      }
-    });
-
-    // Stats: sequential bar scale Y
-    if (this.statsBars && this.statsBars.length > 0) {
-      const statsTl = gsap.timeline({
-        scrollTrigger: {
-          trigger: '.section-stats',
-          start: 'top 80%',
-          end: 'bottom 20%',
-          scrub: 1
+        if (formation.texture) {
+          this.particleSimulation.updateTargetTexture(formation.texture, positions);
         }
+        // Rebind so the new colour attribute is picked up
+        this._morphIndex = -1;
+        this._needsStillFrame = true;
+      })
+      .catch((err) => {
+        console.warn(`[Experience] Could not sample particle source "${type}".`, err);
       });
-      this.statsBars.forEach((bar, i) => {
-        statsTl.to(this.barHeights, {
-          [i]: 1,
-          duration: 0.5,
-          ease: 'elastic.out(1, 0.5)'
-        }, i * 0.15);
-      });
-    }
 
-    // Contact: sphere scale
-    this.contactSphereScale = 1;
-    ScrollTrigger.create({
-      trigger: '.section-contact',
-      start: 'top 80%',
-      end: 'bottom 20%',
-      scrub: 1,
-      onUpdate: (self) => {
-        this.contactSphereScale = 1 + self.progress * 1.5;
-      }
-    });
+    return formation.loading;
+  }
 
-    // Parallax groups at different rates
-    const parallaxRates = [1.0, 0.95, 0.9, 0.85, 0.8];
-    if (this.parallaxGroups) {
-      this.parallaxGroups.forEach((group, i) => {
-        if (!group) return;
-        ScrollTrigger.create({
-          trigger: document.documentElement,
-          start: 'top top',
-          end: 'bottom bottom',
-          scrub: true,
-          onUpdate: (self) => {
-            group.position.y = -self.progress * 40 * parallaxRates[i];
-          }
-        });
-      });
-    }
+  /**
+   * Maps an element's text box, relative to its section, onto the plane the
+   * particles sit on when that section is active.
+   */
+  _getElementPlacement(element, sectionElement) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    const rect = range.getBoundingClientRect();
+    const sectionRect = sectionElement.getBoundingClientRect();
+    const { width, height } = this.dimensions;
+
+    const distance = this.cameraTarget.distanceTo(this.cameraLookAt);
+    const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(this._cameraShot.fov / 2));
+    const unitsPerPixel = visibleHeight / height;
+
+    // Horizontal position is relative to the view, vertical to the section
+    const viewLeft = this.view ? this.view.getBoundingClientRect().left : 0;
+    const centerX = rect.left - viewLeft + rect.width / 2;
+    const centerY = rect.top - sectionRect.top + rect.height / 2;
+
+    return {
+      width: rect.width * unitsPerPixel,
+      offset: [(centerX - width / 2) * unitsPerPixel, (height / 2 - centerY) * unitsPerPixel, 0]
+    };
   }
 
-  _updateOnScroll() {
-    // Update wave plane vertices
-    if (this.waveMesh && this.waveMesh.geometry) {
-      const pos = this.waveMesh.geometry.attributes.position;
-      const count = pos.count;
-      for (let i = 0; i < count; i++) {
-        const x = pos.getX(i);
-        const z = pos.getZ(i);
-        const y = Math.sin(x * 0.5 + this.time) * Math.cos(z * 0.5 + this.time * 0.7) * this.waveAmplitude;
-        pos.setY(i, y);
-      }
-      pos.needsUpdate = true;
-      if (this.waveMesh.geometry.computeVertexNormals) {
-        this.waveMesh.geometry.computeVertexNormals();
+  /**
+   * Blends between the formations of the two sections around the current
+   * scroll position, using the easing of the section being entered.
+   */
+  _updateFormationMorph() {
+    const last = this.formations.length - 1;
+    const position = this._displayProgress * last;
+    const index = Math.min(Math.floor(position), Math.max(last - 1, 0));
+    const from = this.formations[index];
+    const to = this.formations[Math.min(index + 1, last)];
+
+    // Rebinding attributes is cheap: every buffer is uploaded once and cached
+    if (index !== this._morphIndex) {
+      this._morphIndex = index;
+      const geometry = this.particleSystem.geometry;
+      const baseColors = geometry.attributes.aColor;
+      geometry.setAttribute('aMorphFrom', from.attribute);
+      geometry.setAttribute('aMorphTo', to.attribute);
+      geometry.setAttribute('aColorFrom', from.colorAttribute || baseColors);
+      geometry.setAttribute('aColorTo', to.colorAttribute || baseColors);
+      if (this.particleSimulation) {
+        this.particleSimulation.setMorphTargets(from.texture, to.texture);
       }
     }
 
-    // Update contact sphere scale
-    if (this.contactSphere) {
-      const s = this.contactSphereScale || 1;
-      this.contactSphere.scale.set(s, s, s);
+    const morph = gsap.parseEase(to.ease)(Math.min(Math.max(position - index, 0), 1));
+    this.particleUniforms.uMorph.value = morph;
+    this._particleSpin = from.spin + (to.spin - from.spin) * morph;
+    if (this.particleSimulation) {
+      this.particleSimulation.setMorph(morph);
     }
+  }
 
-    // Update stats bars scale Y
-    if (this.statsBars && this.barHeights) {
-      this.statsBars.forEach((bar, i) => {
-        if (bar) {
-          const h = this.barHeights[i] || 0;
-          bar.scale.y = Math.max(0.001, h);
-        }
-      });
+  /**
+   * Casts the mouse ray onto the galaxy's disc plane and returns the hit in
+   * the particle system's local space. Falls back to a camera-facing plane
+   * when the disc is close to edge-on. Returns null when nothing is hit.
+   */
+  _getParticlePointer() {
+    if (!this._particleRaycaster) {
+      this._particleRaycaster = new THREE.Raycaster();
+      this._particlePlane = new THREE.Plane();
+      this._particleHit = new THREE.Vector3();
     }
-  }
 
-  _updateParticles(time, delta) {
-    if (this.particleSystem) {
-      // Slowly rotate the particle system
-      this.particleSystem.rotation.y += delta * 0.05;
-      this.particleSystem.rotation.x += delta * 0.02;
-    }
-
-    if (this.particleShaderMaterial && this.particleShaderMaterial.uniforms) {
-      const u = this.particleShaderMaterial.uniforms;
-      if (u.uTime) u.uTime.value = time;
-      if (u.uScrollProgress) u.uScrollProgress.value = this.scrollProgress || 0;
-      if (u.uMouse) {
-        u.uMouse.value.x = this.mouse ? this.mouse.x : 0;
-        u.uMouse.value.y = this.mouse ? this.mouse.y : 0;
-      }
+    const system = this.particleSystem;
+    const raycaster = this._particleRaycaster;
+    const plane = this._particlePlane;
+    raycaster.setFromCamera(this.mouse, this.camera);
+    system.updateMatrixWorld();
+
+    const center = system.getWorldPosition(new THREE.Vector3());
+    const normal = new THREE.Vector3(0, 1, 0).transformDirection(system.matrixWorld);
+    if (Math.abs(normal.dot(raycaster.ray.direction)) < 0.2) {
+      this.camera.getWorldDirection(normal);
     }
+    plane.setFromNormalAndCoplanarPoint(normal, center);
+
+    if (!raycaster.ray.intersectPlane(plane, this._particleHit)) return null;
+    return system.worldToLocal(this._particleHit);
   }
 
   _updateCamera() {
     if (!this.camera || !this.mouse) return;
-    // Subtle camera sway based on mouse X
-    this.camera.position.x += (this.mouse.x * 0.5 - this.camera.position.x) * 0.05;
-    // Subtle forward/back based on mouse Y
-    this.camera.position.z += (10 + this.mouse.y * -0.5 - this.camera.position.z) * 0.05;
+    const { camera, _cameraSway: sway } = this;
+    const { position, target, fov, roll } = this._cameraShot;
+
+    // Pointer sway eases in on top of the rail; none under reduced motion
+    if (this.reducedMotion) {
+      sway.set(0, 0);
+    } else {
+      const { sway: amount, swayEase } = this.cameraOptions;
+      sway.x += (this.mouse.x * amount - sway.x) * swayEase;
+      sway.y += (this.mouse.y * amount - sway.y) * swayEase;
+    }
+
+    // Aim from the rail, then slide sideways and in/out without turning
+    camera.position.copy(position);
+    camera.lookAt(target);
+    camera.rotateZ(THREE.MathUtils.degToRad(roll));
+    camera.position
+      .addScaledVector(this._cameraAxis.set(1, 0, 0).applyQuaternion(camera.quaternion), sway.x)
+      .addScaledVector(this._cameraAxis.set(0, 0, 1).applyQuaternion(camera.quaternion), -sway.y);
+
+    if (camera.fov !== fov) {
+      camera.fov = fov;
+      camera.updateProjectionMatrix();
+    }
   }
 
   _updateMouseLight() {
@@ -987,9 +1697,83 @@ _getTorusVertexShader() {
   _tick() {
     this._animFrameId = requestAnimationFrame(this._tick.bind(this));
 
-    const delta = this.clock.getDelta();
+    const frameDelta = this.clock.getDelta();
+    this.input.update(frameDelta);
+    if (this.picking.update(frameDelta, this.time)) this._needsStillFrame = true;
+    this._updateStats(frameDelta);
+    if (this.scheduler.onDemand && (this._needsStillFrame || this._isActive())) this.scheduler.wake();
+
+    // Skipped frames carry their time into the next rendered one
+    const delta = this.scheduler.tick(frameDelta);
+    if (delta === null) return;
+    // A capped frame rate says nothing about headroom, so only uncapped
+    // frames are judged
+    if (!this.scheduler.fps) this.quality.update(delta);
+    this._drawFrame(delta);
+  }
+
+  /**
+   * Pointer input or time-driven motion, which keep on-demand rendering
+   * awake. This instance's tweens ask for their frames with invalidate().
+   */
+  _isActive() {
+    const moved = !this.mouse.equals(this._lastMouse);
+    this._lastMouse.copy(this.mouse);
+    return moved || this._isMoving();
+  }
+
+  /**
+   * The particle simulation until it settles and, while in view, spinning
+   * objects and materials animated by uTime. All of it stands still while
+   * motion is reduced.
+   */
+  _isMoving() {
+    if (this.reducedMotion) return false;
+    if (this.particleSimulation && !this.particleSimulation.settled) return true;
+
+    const { camera } = this;
+    this._frustum.setFromProjectionMatrix(
+      this._frustumMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    );
+    if (this._spinners.some(({ object }) => this._isInView(object))) return true;
+    for (const object of this._animatedObjects) {
+      if (this._isInView(object)) return true;
+    }
+    return false;
+  }
+
+  _isInView(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return this._frustum.intersectsObject(object);
+  }
+
+  /**
+   * Live stats (frame rate, particle count) follow the running experience.
+   */
+  _updateStats(delta) {
+    this.sections.forEach(({ stats }) => {
+      if (stats && stats.update(delta)) this._needsStillFrame = true;
+    });
+  }
+
+  /**
+   * Advances every animation by `delta` seconds and renders. Called by the
+   * rAF loop with wall-clock time, or by renderFrame() while capturing.
+   */
+  _drawFrame(delta) {
     this.time += delta;
-    const t = this.time;
+
+    // Still-frame mode: with reduced motion, only draw when something changed
+    const stillFrames = this.reducedMotion && (this.options.motion || {}).stillFrames;
+    if (stillFrames && !this._needsStillFrame) return;
+    this._needsStillFrame = false;
+
+    // Ambient motion (rotations, drift, shader time) stops when reduced
+    const motionDelta = this.reducedMotion ? 0 : delta;
+    this.motionTime += motionDelta;
+    const t = this.motionTime;
 
     // Camera sway
     this._updateCamera();
@@ -997,85 +1781,687 @@ _getTorusVertexShader() {
     // Mouse light
     this._updateMouseLight();
 
-    // Rotate hero torus knot
-    if (this.heroMesh) {
-      this.heroMesh.rotation.x = t * 0.18;
-      this.heroMesh.rotation.y = t * 0.12;
+    // Continuous rotations declared with `spin` in the manifest
+    this._spinners.forEach(({ object, spin }) => {
+      object.rotation.x += motionDelta * spin[0];
+      object.rotation.y += motionDelta * spin[1];
+      object.rotation.z += motionDelta * (spin[2] || 0);
+    });
+
+    // Scroll-driven updates
+    this._updateOnScroll();
+
+    // Particle updates
+    this._updateParticles(t, motionDelta);
+
+    // Shared shader clocks
+    Object.values(this.shaderLibrary).forEach(({ uniforms }) => {
+      if (uniforms.uTime) uniforms.uTime.value = t;
+    });
+
+    // Plugins run on the same clock as the built-in animation
+    this._plugins.forEach(({ plugin, context }) => {
+      if (plugin.update) plugin.update(t, motionDelta, context);
+    });
+
+    // Post-FX: section overrides follow scroll, and chromatic aberration
+    // grows with scroll velocity (static when reduced)
+    this.postfx.update({
+      progress: this._displayProgress,
+      time: t,
+      velocity: this.reducedMotion ? 0 : this._scrollVelocity || 0
+    });
+
+    // Render via the composer, or directly when post-processing failed to load
+    this.postfx.render(delta);
+
+    // Hands off from the loader once there is something on screen
+    if (this._onFirstFrame) {
+      this._onFirstFrame();
+      this._onFirstFrame = null;
     }
+  }
 
-    // Rotate features icosahedrons
-    if (this.featuresMeshes) {
-      this.featuresMeshes.forEach((mesh, i) => {
-        if (mesh) {
-          mesh.rotation.x += delta * (0.3 + i * 0.07);
-          mesh.rotation.y += delta * (0.2 + i * 0.05);
-        }
-      });
+  /**
+   * Size of the view, or of the window when not embedded.
+   */
+  _getViewportSize() {
+    const { view } = this;
+    if (!view) return { width: window.innerWidth, height: window.innerHeight };
+    return { width: Math.max(view.clientWidth, 1), height: Math.max(view.clientHeight, 1) };
+  }
+
+  /**
+   * Finds an element inside the container, or in the document when not
+   * embedded.
+   */
+  _query(selector) {
+    return (this.container || document).querySelector(selector);
+  }
+
+  _onResize() {
+    this._needsStillFrame = true;
+
+    // Update cached dimensions; a capture renders at its own fixed size
+    const capture = this._captureSize;
+    const { width, height } = capture || this._getViewportSize();
+    this.dimensions.width = width;
+    this.dimensions.height = height;
+
+    // Keep camera aspect ratio correct
+    if (this.camera) {
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
     }
 
-    // Rotate contact sphere
-    if (this.contactSphere) {
-      this.contactSphere.rotation.y += delta * 0.4;
-      this.contactSphere.rotation.x += delta * 0.15;
+    // Resize renderer and composer to match new viewport
+    const pixelRatio = capture ? capture.pixelRatio : this._getPixelRatio();
+    if (this.renderer) {
+      this.renderer.setPixelRatio(pixelRatio);
+      // While capturing the canvas keeps its on-page CSS size
+      this.renderer.setSize(width, height, !capture);
     }
 
-    // Scroll-driven updates
-    this._updateOnScroll();
+    if (this.postfx) {
+      this.postfx.setSize(width, height, pixelRatio);
+      this._applyBloomResolution();
+    }
 
-    // Particle updates
-    this._updateParticles(t, delta);
+    this._plugins.forEach(({ plugin }) => {
+      if (plugin.onResize) plugin.onResize({ width, height, pixelRatio });
+    });
+  }
 
-    // Update hero shader uniforms
-    if (this.heroShaderMaterial && this.heroShaderMaterial.uniforms) {
-      if (this.heroShaderMaterial.uniforms.uTime) {
-        this.heroShaderMaterial.uniforms.uTime.value = t;
-      }
+  // ─────────────────────────────────────────────────────────────────────────
+  // TWEAKS & DEBUG PANEL
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Applies a tweaks.js preset on top of the current values. `this.tweaks`
+   * then holds everything that differs from the engine defaults, which is
+   * what the debug panel saves and exports.
+   */
+  setTweaks(preset) {
+    applyTweaks(this, preset);
+    if (this._tweakDefaults) {
+      this.tweaks = diffTweaks(getTweaks(this), this._tweakDefaults);
+    }
+  }
+
+  resetTweaks() {
+    if (!this._tweakDefaults) return;
+    applyTweaks(this, this._tweakDefaults);
+    this.tweaks = {};
+    // Hand tier-controlled values back to the quality governor
+    this._applyQualityTier(this.quality.tier);
+  }
+
+  /**
+   * Opens or closes the tweak panel. debug.js (and lil-gui) are only
+   * downloaded the first time it is opened.
+   */
+  async toggleDebug() {
+    if (this.debug) {
+      this.debug.destroy();
+      this.debug = null;
+      return;
+    }
+    const { default: DebugPanel } = await import('./debug.js');
+    await this.ready;
+    if (!this.debug && !this._destroyed) this.debug = new DebugPanel(this);
+  }
+
+  /**
+   * Shows or hides the camera rail in the scene: the camera path, the
+   * look-at path and a frustum for every keyframe (see camera-rail.js).
+   */
+  showCameraRail(visible = true) {
+    if (visible && !this._cameraRailHelper && this.cameraRail) {
+      this._cameraRailHelper = this.cameraRail.createHelper({ aspect: this.camera.aspect });
+      this.scene.add(this._cameraRailHelper);
+    } else if (!visible && this._cameraRailHelper) {
+      this.scene.remove(this._cameraRailHelper);
+      this._cameraRailHelper.traverse((obj) => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+      });
+      this._cameraRailHelper = null;
     }
+    this._needsStillFrame = true;
+  }
 
-    // Update wave shader uniforms
-    if (this.waveShaderMaterial && this.waveShaderMaterial.uniforms) {
-      if (this.waveShaderMaterial.uniforms.uTime) {
-        this.waveShaderMaterial.uniforms.uTime.value = t;
+  _onKeyDown(event) {
+    const target = event.target;
+    const typing = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+    if (typing || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.shiftKey) {
+      if (event.code === 'KeyD') {
+        // Handled once, however many instances share the page
+        event.preventDefault();
+        this.toggleDebug();
       }
-      if (this.waveShaderMaterial.uniforms.uAmplitude) {
-        this.waveShaderMaterial.uniforms.uAmplitude.value = this.waveAmplitude;
+      return;
+    }
+    if (this.options.keyboard === false || this.sections.length === 0) return;
+
+    const last = this.sections.length - 1;
+    let index = null;
+    if (NAVIGATION_KEYS[event.key]) {
+      index = Math.min(Math.max(this._getNavigationIndex() + NAVIGATION_KEYS[event.key], 0), last);
+    } else if (event.key === 'Home') {
+      index = 0;
+    } else if (event.key === 'End') {
+      index = last;
+    } else if (/^Digit[1-9]$/.test(event.code) && Number(event.code.slice(5)) - 1 <= last) {
+      index = Number(event.code.slice(5)) - 1;
+    }
+    if (index === null) return;
+
+    // Replaces the browser's own scrolling for these keys
+    event.preventDefault();
+    this.goToSection(index, { focus: true });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // CAPTURE
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Starts a frame-exact capture (see capture.js, loaded on first use).
+   * Normal playback resumes when the capture's end() is called.
+   */
+  async createCapture(options) {
+    const { default: Capture } = await import('./capture.js');
+    await this.ready;
+    return new Capture(this, options);
+  }
+
+  /**
+   * Stops the render loop and renders at a fixed size until endCapture().
+   * Frames are then only drawn by renderFrame(), on a virtual clock that
+   * GSAP follows as well so tweens and scroll scrubbing replay exactly.
+   */
+  beginCapture({ width, height, pixelRatio = 1 } = {}) {
+    if (this._captureSize) {
+      throw new Error('[Experience] A capture is already running.');
+    }
+
+    cancelAnimationFrame(this._animFrameId);
+    this._animFrameId = null;
+
+    this._gsapTime = gsap.ticker.time;
+    gsap.ticker.remove(gsap.updateRoot);
+
+    this._captureSize = {
+      width: width || this.dimensions.width,
+      height: height || this.dimensions.height,
+      pixelRatio
+    };
+    this._onResize();
+    this.resetCapture();
+  }
+
+  /**
+   * Rewinds everything that depends on elapsed time to frame 0 at the
+   * current scroll progress and draws that frame.
+   */
+  resetCapture() {
+    this.time = 0;
+    this.motionTime = 0;
+    this._particleSpinAngle = 0;
+    this._spinners.forEach(({ object, rotation }) => object.rotation.copy(rotation));
+    if (this.particleSimulation) this.particleSimulation.reset();
+
+    // Pointer input is ignored; the camera and light rest where easing ends
+    this.mouse.set(0, 0);
+    this._cameraSway.set(0, 0);
+    if (this.mouseLight) this.mouseLight.position.set(0, 0, 5);
+    this._scrollVelocity = 0;
+    this._prevScrollY = this.scrollProgress;
+
+    // Finish tweens in flight, including scrubs still catching up with scroll
+    gsap.globalTimeline.getChildren(true, true, false).forEach((tween) => {
+      if (tween.isActive()) tween.progress(1);
+    });
+
+    this.renderFrame(0);
+  }
+
+  /**
+   * Advances the capture clock by `delta` seconds and draws one frame.
+   */
+  renderFrame(delta) {
+    this._gsapTime += delta;
+    gsap.updateRoot(this._gsapTime);
+    this.mouse.set(0, 0);
+
+    this._needsStillFrame = true;
+    this._drawFrame(delta);
+  }
+
+  endCapture() {
+    if (!this._captureSize) return;
+    this._captureSize = null;
+
+    gsap.ticker.add(gsap.updateRoot);
+    this._onResize();
+
+    // Drop the wall time spent capturing so the first frame doesn't jump
+    this.clock.getDelta();
+    if (this._looping && !this.paused && !this._destroyed) this._tick();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // LIFECYCLE
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * True while the render loop is stopped, by pause() or because the tab
+   * is hidden, the canvas is out of view or the WebGL context is lost.
+   */
+  get paused() {
+    return this._pauseReasons.size > 0;
+  }
+
+  /**
+   * Stops rendering until resume(). Scroll, tweens and input keep their
+   * state, and time spent paused is skipped rather than caught up on.
+   */
+  pause() {
+    this._setPaused('manual', true);
+  }
+
+  /**
+   * Undoes pause(). Rendering only restarts once the tab is visible and
+   * the canvas in view again.
+   */
+  resume() {
+    this._setPaused('manual', false);
+  }
+
+  /**
+   * Switches the render scheduler at runtime: 'continuous', 'capped' (at
+   * `fps`), 'ondemand' (only while input, scroll, tweens or other changes
+   * are active, until `idleTimeout` seconds after the last) or 'battery'
+   * (on-demand and capped while unplugged). See scheduler.js.
+   */
+  setRenderMode(mode, options) {
+    this.scheduler.setMode(mode, options);
+  }
+
+  /**
+   * Asks for a frame after changing something the render loop doesn't
+   * know about, so on-demand and still-frame rendering draw it.
+   */
+  invalidate() {
+    this._needsStillFrame = true;
+  }
+
+  _setPaused(reason, paused) {
+    const wasPaused = this.paused;
+    if (paused) this._pauseReasons.add(reason);
+    else this._pauseReasons.delete(reason);
+    if (this.paused === wasPaused) return;
+
+    if (this.paused) {
+      cancelAnimationFrame(this._animFrameId);
+      this._animFrameId = null;
+      this.emit('pause');
+      return;
+    }
+
+    // Drop the wall time spent paused so the first frame doesn't jump
+    this.clock.getDelta();
+    this._needsStillFrame = true;
+    if (this._looping && !this._captureSize && !this._destroyed) this._tick();
+    this.emit('resume');
+  }
+
+  // ── Context loss ─────────────────────────────────────────────────────
+
+  _onContextLost(event) {
+    // Without preventDefault() the browser never restores the context
+    event.preventDefault();
+    this.contextLost = true;
+    this._setPaused('context', true);
+    console.warn('[Experience] WebGL context lost; paused until the browser restores it.');
+    if (this.errorOverlay) {
+      this.errorOverlay.add({
+        key: 'context',
+        title: 'WebGL context lost',
+        message: 'Rendering is paused until the browser restores the context.'
+      });
+    }
+    this.emit('contextlost');
+  }
+
+  async _onContextRestored() {
+    try {
+      await this._restoreContext();
+    } catch (err) {
+      console.error('[Experience] Rebuilding after the WebGL context was restored failed:', err);
+      if (this.errorOverlay) this.errorOverlay.addError(err, 'Context restore failed');
+      return;
+    }
+    if (this._destroyed) return;
+
+    this.contextLost = false;
+    if (this.errorOverlay) this.errorOverlay.remove('context');
+    this._setPaused('context', false);
+    this.emit('contextrestored');
+  }
+
+  /**
+   * Rebuilds what only lived on the lost context. three.js starts the new
+   * one with empty caches, so geometries, textures and programs upload
+   * again on first use; render targets come back blank, which leaves the
+   * particle state, shadow maps and the composer to redo here.
+   */
+  async _restoreContext() {
+    this.scene.traverse((object) => {
+      [].concat(object.material || []).forEach((material) => { material.needsUpdate = true; });
+      // Reallocated on the next shadow render
+      if (object.shadow && object.shadow.map) {
+        object.shadow.map.dispose();
+        object.shadow.map = null;
       }
+    });
+    // Particles start over from their resting layout
+    if (this.particleSimulation) this.particleSimulation.reset();
+
+    await this.postfx.rebuild();
+    if (this._destroyed) return;
+    this._onResize();
+    await this._compileShaders();
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // PLUGINS
+  // ─────────────────────────────────────────────────────────────────────────
+  /**
+   * Adds a plugin at runtime. A plugin is an object with any of these hooks:
+   *
+   *   setup(ctx)                   once, straight away
+   *   update(time, delta, ctx)     every rendered frame, on the motion clock
+   *                                (frozen while motion is reduced)
+   *   onScroll(progress, ctx)      when the 0..1 progress shown changes
+   *   onResize({ width, height, pixelRatio })
+   *   dispose()                    on unuse() or destroy()
+   *
+   * `ctx` gives access to the scene, camera, renderer, composer (null
+   * until ready), input, mouse, size and sections, and registers sections,
+   * shaders and post-FX passes that are taken out again with the plugin.
+   */
+  use(plugin) {
+    if (this._plugins.has(plugin)) {
+      console.warn(`[Experience] Plugin "${plugin.name || 'unnamed'}" is already in use.`);
+      return this;
+    }
+
+    const record = { plugin, context: null, sections: [], shaders: [], passes: [], progress: null };
+    record.context = this._createPluginContext(record);
+    this._plugins.set(plugin, record);
+    if (plugin.setup) plugin.setup(record.context);
+    this._needsStillFrame = true;
+    return this;
+  }
+
+  /**
+   * Removes a plugin along with the sections, shaders and passes it added;
+   * shaders it replaced are put back.
+   */
+  unuse(plugin) {
+    const record = this._plugins.get(plugin);
+    if (!record) return this;
+    this._plugins.delete(plugin);
+
+    if (plugin.dispose) plugin.dispose();
+    record.sections.forEach((section) => this.removeSection(section.id));
+    // Newest first, so a name the plugin registered twice ends up as it was
+    record.shaders.reverse().forEach(({ name, previous }) => {
+      if (previous) this.shaderLibrary[name] = previous;
+      else delete this.shaderLibrary[name];
+    });
+    record.passes.forEach((name) => this.postfx.remove(name));
+    this._needsStillFrame = true;
+    return this;
+  }
+
+  /**
+   * Adds a section at runtime from a manifest-style entry (`element` or
+   * `selector`, `camera`, `formation`, `objects`, `animations`, ...). It
+   * is placed among the others in document order. Returns the section, or
+   * null when no element matches.
+   */
+  addSection(config) {
+    const section = this._createSection(config);
+    if (!section) return null;
+
+    const following = this.sections.findIndex(
+      (other) => other.element.compareDocumentPosition(section.element) & Node.DOCUMENT_POSITION_PRECEDING
+    );
+    const index = following === -1 ? this.sections.length : following;
+    this.sections.splice(index, 0, section);
+
+    // Without a formation of its own a section keeps the previous one
+    const count = this.quality.maxTier.particles;
+    const formation = config.formation
+      ? this._createFormation(config.formation, count, section)
+      : this.formations[index - 1] || this._createFormation('galaxy', count);
+    if (this.sections.length === 1) {
+      // Until now a lone galaxy stood in for every formation
+      this.formations.forEach((previous) => previous.texture && previous.texture.dispose());
+      this.formations = [formation];
+    } else {
+      this.formations.splice(index, 0, formation);
+    }
+    if (this.particleSimulation && !formation.texture) {
+      formation.texture = this.particleSimulation.createTargetTexture(formation.positions);
+    }
+    if (formation.source && !formation.loading) this._loadFormationSource(formation, count);
+
+    this._layoutSections();
+    // Before the constructor returns, the boot sequence picks these up
+    if (section.stats && this.ready) {
+      section.statsLoading = this._initStats(section).catch((err) => {
+        console.warn(`[Experience] Could not load stats for section "${section.id}".`, err);
+        if (this.errorOverlay) this.errorOverlay.addError(err, 'Stats failed', `stats:${section.id}`);
+      });
     }
+    if (this._scrollReady) this._runSectionAnimations(section);
+    return section;
+  }
 
-    // Chromatic aberration offset based on scroll velocity
-    if (this.chromaticAberrationPass && this.chromaticAberrationPass.uniforms) {
-      const vel = Math.abs(this._scrollVelocity || 0);
-      if (this.chromaticAberrationPass.uniforms.uOffset) {
-        this.chromaticAberrationPass.uniforms.uOffset.value.set(vel * 0.01, vel * 0.01);
+  /**
+   * Removes a section by id, disposing its objects. Returns false when
+   * there is no such section.
+   */
+  removeSection(id) {
+    const index = this.sections.findIndex((section) => section.id === id);
+    if (index === -1) return false;
+    const [section] = this.sections.splice(index, 1);
+
+    this._killSectionAnimations(section);
+    section.group.traverse((object) => this.picking.remove(object));
+    this._spinners = this._spinners.filter(({ object }) => !section.group.getObjectById(object.id));
+    section.group.traverse((object) => this._animatedObjects.delete(object));
+    Object.entries(section.meshes).forEach(([key, value]) => {
+      const registered = this.meshes[key];
+      if (Array.isArray(registered)) {
+        this.meshes[key] = registered.filter((object) => !value.includes(object));
+      } else if (registered === value) {
+        delete this.meshes[key];
       }
+    });
+    this.scene.remove(section.group);
+    disposeObject(section.group);
+
+    // Formations may be shared with the next section
+    const [formation] = this.formations.splice(index, 1);
+    if (this.formations.length === 0) {
+      const galaxy = this._createFormation('galaxy', this.quality.maxTier.particles);
+      if (this.particleSimulation) galaxy.texture = this.particleSimulation.createTargetTexture(galaxy.positions);
+      this.formations.push(galaxy);
     }
+    if (formation.texture && !this.formations.includes(formation)) formation.texture.dispose();
+
+    this._layoutSections();
+    return true;
+  }
 
-    // Render via composer
-    if (this.composer) {
-      this.composer.render();
+  /**
+   * Re-indexes and re-stacks the sections after one is added or removed,
+   * and rebuilds everything laid out from them.
+   */
+  _layoutSections() {
+    this.sections.forEach((section, index) => {
+      section.index = index;
+      section.group.position.y = -index * this.manifest.spacing;
+    });
+    this._morphIndex = -1;
+    this._initCameraRail();
+    this._updateCameraTarget(this._displayProgress);
+    if (this._scrollReady) {
+      // Trigger positions shift with the page around the new section
+      ScrollTrigger.refresh();
+      this._updateCurrentSection();
     }
+    this._needsStillFrame = true;
   }
 
-  _onResize() {
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+  /**
+   * The `ctx` handed to a plugin's hooks. Registrations made through it
+   * are recorded so unuse() can take them out again.
+   */
+  _createPluginContext(record) {
+    const experience = this;
+    return {
+      experience,
+      scene: this.scene,
+      camera: this.camera,
+      renderer: this.renderer,
+      input: this.input,
+      mouse: this.mouse,
+      // Live { width, height } of the view
+      size: this.dimensions,
+      get composer() {
+        return experience.postfx.composer;
+      },
+      get sections() {
+        return experience.sections;
+      },
+      get section() {
+        return experience.sections[experience.currentSection] || null;
+      },
+      get progress() {
+        return experience._displayProgress;
+      },
+      get reducedMotion() {
+        return experience.reducedMotion;
+      },
 
-    if (this.camera) {
-      this.camera.aspect = this.width / this.height;
-      this.camera.updateProjectionMatrix();
+      addSection(config) {
+        const section = experience.addSection(config);
+        if (section) record.sections.push(section);
+        return section;
+      },
+
+      /**
+       * Registers named shader uniforms (and optionally `files` or
+       * vertexShader / fragmentShader) that `material: { shader }` entries
+       * can use. uTime and uScrollProgress are driven like the built-in ones.
+       */
+      addShader(name, definition) {
+        const previous = experience.shaderLibrary[name];
+        if (previous) {
+          console.warn(`[Experience] Shader "${name}" is already registered; replacing it until the plugin is removed.`);
+        }
+        experience.shaderLibrary[name] = definition;
+        record.shaders.push({ name, previous });
+        return definition.uniforms;
+      },
+
+      /**
+       * Adds a post-FX chain entry (see postfx.js), in front of `before`.
+       */
+      addPass(entry, options) {
+        record.passes.push(typeof entry === 'string' ? entry : entry.name);
+        return experience.postfx.add(entry, options);
+      },
+
+      // Asks for a frame after changing something outside update()
+      invalidate() {
+        experience.invalidate();
+      }
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // QUALITY
+  // ─────────────────────────────────────────────────────────────────────────
+  _getPixelRatio() {
+    return Math.min(window.devicePixelRatio, this.quality.tier.pixelRatio);
+  }
+
+  /**
+   * Pushes every setting of a quality tier into the renderer, particles,
+   * lights and post-processing chain.
+   */
+  _applyQualityTier(tier) {
+    if (this.particleSystem) {
+      this.particleSystem.geometry.setDrawRange(0, tier.particles);
     }
 
-    if (this.renderer) {
-      this.renderer.setSize(this.width, this.height);
-      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    if (this.warmLight && this.warmLight.shadow.mapSize.x !== tier.shadowMapSize) {
+      this.warmLight.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+      // The shadow map is reallocated at the new size on the next render
+      if (this.warmLight.shadow.map) {
+        this.warmLight.shadow.map.dispose();
+        this.warmLight.shadow.map = null;
+      }
     }
 
-    if (this.composer) {
-      this.composer.setSize(this.width, this.height);
+    if (this.postfx) {
+      this.postfx.set('bloom', { strength: tier.bloom.strength });
+      this.postfx.setTierDisabled(tier.disabledPasses);
+    }
+    // Tweaks are measured against the tier's values, not the boot tier's
+    if (this._tweakDefaults && this._tweakDefaults.bloom) {
+      this._tweakDefaults.bloom.strength = tier.bloom.strength;
     }
+
+    // Tweaked pass settings win over the tier's. Only those: the rest of
+    // the preset doesn't depend on the tier, and galaxy tweaks would
+    // rebuild every particle right when frames are already too slow
+    if (this.postfx) {
+      const passTweaks = {};
+      this.postfx.entries.forEach(({ name }) => {
+        if (this.tweaks[name]) passTweaks[name] = this.tweaks[name];
+      });
+      applyTweaks(this, passTweaks);
+    }
+
+    // Pixel ratio and bloom resolution both go through the resize path
+    this._onResize();
+  }
+
+  /**
+   * UnrealBloomPass sizes its mip chain from setSize(); rendering it below
+   * the composer resolution is the cheapest way to scale bloom cost.
+   */
+  _applyBloomResolution() {
+    const bloomPass = this.postfx && this.postfx.getPass('bloom');
+    if (!bloomPass) return;
+    const scale = this.quality.tier.bloom.resolution * this.renderer.getPixelRatio();
+    bloomPass.setSize(
+      Math.round(this.dimensions.width * scale),
+      Math.round(this.dimensions.height * scale)
+    );
   }
 
   destroy() {
+    // Stops a boot that is still loading from starting the render loop
+    this._destroyed = true;
+    // Hands GSAP back to its ticker if a capture was running
+    this.endCapture();
+
     // Cancel render loop
     if (this._animFrameId) {
       cancelAnimationFrame(this._animFrameId);
@@ -1083,38 +2469,61 @@ _getTorusVertexShader() {
     }
 
     // Remove event listeners
-    window.removeEventListener('resize', this._onResize.bind(this));
-    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('resize', this._onResize);
+    if (this._resizeObserver) this._resizeObserver.disconnect();
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    if (this._visibilityObserver) this._visibilityObserver.disconnect();
+    (this.container || window).removeEventListener('keydown', this._onKeyDown);
+    this.scroller.removeEventListener('scroll', this._onScroll);
+    this.scroller.removeEventListener('wheel', this._cancelNavigation);
+    this.scroller.removeEventListener('touchstart', this._cancelNavigation);
+    // Before forceContextLoss() below, which would report a lost context
+    this.canvas.removeEventListener('webglcontextlost', this._onContextLost);
+    this.canvas.removeEventListener('webglcontextrestored', this._onContextRestored);
+    if (this._navigationTween) this._navigationTween.kill();
+    // Plugins tidy up their own additions; the scene is disposed below
+    this._plugins.forEach(({ plugin }) => plugin.dispose && plugin.dispose());
+    this._plugins.clear();
+    if (this.input) this.input.destroy();
+    if (this.picking) this.picking.destroy();
+    if (this.scheduler) this.scheduler.destroy();
+    if (this.motion) this.motion.destroy();
+    this._motionRoot.classList.remove('reduced-motion');
+    if (this.debug) this.debug.destroy();
+    if (this.errorOverlay) this.errorOverlay.destroy();
+    if (this.shaders) this.shaders.dispose();
+    if (this._themeTween) this._themeTween.kill();
+    gsap.killTweensOf(this.canvas);
+    if (this._colorSchemeQuery) {
+      this._colorSchemeQuery.removeEventListener('change', this._onColorSchemeChange);
+    }
 
-    // Kill all ScrollTriggers
-    ScrollTrigger.getAll().forEach(trigger => trigger.kill());
+    // Kill this instance's ScrollTriggers; other instances keep theirs
+    if (this._scrollTrigger) this._scrollTrigger.kill();
+    this._killSectionAnimations();
 
-    // Dispose renderer
+    // Dispose renderer and hand its WebGL context back to the browser,
+    // which only allows a handful at a time
     if (this.renderer) {
       this.renderer.dispose();
+      this.renderer.forceContextLoss();
       if (this.renderer.domElement && this.renderer.domElement.parentNode) {
         this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
       }
     }
 
-    // Dispose composer
-    if (this.composer) {
-      this.composer.renderTarget1 && this.composer.renderTarget1.dispose();
-      this.composer.renderTarget2 && this.composer.renderTarget2.dispose();
+    // Dispose particle simulation render targets
+    if (this.particleSimulation) {
+      this.particleSimulation.dispose();
     }
-
-    // Dispose scene objects
-    if (this.scene) {
-      this.scene.traverse((obj) => {
-        if (obj.geometry) obj.geometry.dispose();
-        if (obj.material) {
-          if (Array.isArray(obj.material)) {
-            obj.material.forEach(m => m.dispose());
-          } else {
-            obj.material.dispose();
-          }
-        }
-      });
+    if (this.formations) {
+      this.formations.forEach((formation) => formation.texture && formation.texture.dispose());
     }
+
+    // Dispose composer and passes
+    if (this.postfx) this.postfx.dispose();
+
+    // Dispose scene objects, with the textures their materials hold
+    if (this.scene) disposeObject(this.scene);
   }
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * fallback.js
+ * 2D canvas stand-in for devices without usable WebGL. Draws a slowly
+ * turning dot galaxy behind the hero and a soft glow per section whose
+ * colour follows the scroll position, so the page still reads as designed.
+ * Shows a small dismissible notice explaining the simplified view.
+ */
+
+// Backdrop glow per section, top to bottom
+const SECTION_COLORS = ['#6633cc', '#4ecdc4', '#9966ff', '#ffd93d', '#6c5ce7'];
+const GALAXY_COLORS = ['#8000cc', '#0080ff', '#ff0099', '#ffffff'];
+const NOTICE_KEY = 'ai-web-factory:fallback-notice-dismissed';
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function mixColors(a, b, t) {
+  return a.map((channel, i) => Math.round(channel + (b[i] - channel) * t));
+}
+
+export default class FallbackExperience {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [options]
+   * @param {string[]} [options.reasons] Why WebGL was ruled out (logged with `?debug`)
+   * @param {number} [options.stars] Dot count for the hero galaxy
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.options = options;
+    this.isFallback = true;
+
+    this.scrollProgress = 0;
+    this.time = 0;
+    this._colors = SECTION_COLORS.map(hexToRgb);
+    this._stars = this._createStars(options.stars || 1500);
+    this._reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    this._onResize = this._onResize.bind(this);
+    this._onScroll = this._onScroll.bind(this);
+    this._tick = this._tick.bind(this);
+
+    window.addEventListener('resize', this._onResize);
+    window.addEventListener('scroll', this._onScroll, { passive: true });
+    document.documentElement.classList.add('no-webgl');
+
+    this._onResize();
+    this._onScroll();
+    this._showNotice();
+
+    const debug = new URLSearchParams(window.location.search).has('debug');
+    if (debug && options.reasons && options.reasons.length) {
+      console.info('[Fallback] Using 2D fallback:', options.reasons.join(', '));
+    }
+
+    this._lastFrame = performance.now();
+    this._frameId = requestAnimationFrame(this._tick);
+  }
+
+  destroy() {
+    cancelAnimationFrame(this._frameId);
+    window.removeEventListener('resize', this._onResize);
+    window.removeEventListener('scroll', this._onScroll);
+    document.documentElement.classList.remove('no-webgl');
+    if (this._notice && this._notice.parentNode) {
+      this._notice.parentNode.removeChild(this._notice);
+    }
+  }
+
+  _createStars(count) {
+    const arms = 3;
+    const colors = GALAXY_COLORS.map(hexToRgb);
+    return Array.from({ length: count }, () => {
+      const radius = Math.sqrt(Math.random());
+      const arm = Math.floor(Math.random() * arms);
+      return {
+        radius,
+        angle: (arm / arms) * Math.PI * 2 + radius * 3 + (Math.random() - 0.5) * 0.6,
+        size: Math.random() * 1.5 + 0.5,
+        color: colors[Math.floor(Math.random() * colors.length)]
+      };
+    });
+  }
+
+  _onResize() {
+    const pixelRatio = Math.min(window.devicePixelRatio, 1.5);
+    this.width = window.innerWidth;
+    this.height = window.innerHeight;
+    this.canvas.width = Math.round(this.width * pixelRatio);
+    this.canvas.height = Math.round(this.height * pixelRatio);
+    this.context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    this._needsDraw = true;
+  }
+
+  _onScroll() {
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    this.scrollProgress = maxScroll > 0 ? window.scrollY / maxScroll : 0;
+    this._needsDraw = true;
+  }
+
+  _tick(now) {
+    this._frameId = requestAnimationFrame(this._tick);
+
+    const delta = Math.min((now - this._lastFrame) / 1000, 0.1);
+    this._lastFrame = now;
+
+    // Only redraw for scroll / resize when motion is reduced
+    if (this._reducedMotion.matches) {
+      if (!this._needsDraw) return;
+    } else {
+      this.time += delta;
+    }
+    this._needsDraw = false;
+    this._draw();
+  }
+
+  _draw() {
+    const { context: ctx, width, height } = this;
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = '#0a0a0f';
+    ctx.fillRect(0, 0, width, height);
+
+    // Section glow: blend between the two nearest section colours
+    const position = this.scrollProgress * (this._colors.length - 1);
+    const index = Math.min(Math.floor(position), this._colors.length - 2);
+    const [r, g, b] = mixColors(this._colors[index], this._colors[index + 1], position - index);
+    const glow = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.max(width, height) * 0.7);
+    glow.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.35)`);
+    glow.addColorStop(1, 'rgba(10, 10, 15, 0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, 0, width, height);
+
+    // Hero galaxy fades out over the first section
+    const galaxyAlpha = Math.max(0, 1 - position * 1.5);
+    if (galaxyAlpha <= 0) return;
+
+    ctx.globalCompositeOperation = 'lighter';
+    const scale = Math.min(width, height) * 0.42;
+    const rotation = this.time * 0.05;
+    const cx = width / 2;
+    const cy = height / 2 - position * height * 0.5;
+
+    this._stars.forEach(({ radius, angle, size, color }) => {
+      const a = angle + rotation;
+      const x = cx + Math.cos(a) * radius * scale;
+      // Flatten the disc to suggest a tilted galaxy
+      const y = cy + Math.sin(a) * radius * scale * 0.45;
+      ctx.fillStyle = `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${galaxyAlpha * (1 - radius * 0.6)})`;
+      ctx.fillRect(x, y, size, size);
+    });
+  }
+
+  _showNotice() {
+    try {
+      if (sessionStorage.getItem(NOTICE_KEY)) return;
+    } catch (err) {
+      // Storage may be blocked; show the notice anyway
+    }
+
+    const notice = document.createElement('div');
+    notice.className = 'webgl-notice';
+    notice.setAttribute('role', 'status');
+
+    const text = document.createElement('p');
+    text.className = 'webgl-notice__text';
+    text.textContent = 'Your browser or device can’t run the full 3D experience, so you’re seeing a simplified version.';
+
+    const close = document.createElement('button');
+    close.className = 'webgl-notice__close';
+    close.type = 'button';
+    close.setAttribute('aria-label', 'Dismiss notice');
+    close.textContent = '×';
+    close.addEventListener('click', () => {
+      try {
+        sessionStorage.setItem(NOTICE_KEY, '1');
+      } catch (err) {
+        // Ignore; the notice simply returns on the next visit
+      }
+      notice.remove();
+    });
+
+    notice.appendChild(text);
+    notice.appendChild(close);
+    document.body.appendChild(notice);
+    this._notice = notice;
+  }
+}
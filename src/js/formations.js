@@ -0,0 +1,118 @@
+import { createGalaxy } from './galaxy.js';
+
+/**
+ * formations.js
+ * Particle formation generators. Each takes a particle count, the
+ * parameters from a manifest `formation` entry and the experience's random
+ * generator (random.js), and returns a Float32Array of `count * 3`
+ * local-space positions. Sections morph between the formations
+ * of their neighbours as the page scrolls.
+ */
+
+const TAU = Math.PI * 2;
+
+export const FORMATIONS = {
+  // Spiral galaxy with swept arms; see galaxy.js for the parameters
+  galaxy(count, params, random) {
+    return createGalaxy(count, params, random).positions;
+  },
+
+  // Rippling sheet in the XZ plane
+  wave(count, { width = 12, depth = 8, amplitude = 0.8, frequency = 1.2, jitter = 0.15 }, random = Math.random) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      const x = (random() - 0.5) * width;
+      const z = (random() - 0.5) * depth;
+
+      positions[i3] = x;
+      positions[i3 + 1] = Math.sin(x * frequency) * Math.cos(z * frequency * 0.7) * amplitude
+        + (random() - 0.5) * jitter;
+      positions[i3 + 2] = z;
+    }
+    return positions;
+  },
+
+  // Funnel that widens and twists toward the top
+  vortex(count, { height = 7, innerRadius = 0.4, outerRadius = 4, twist = 2.5 }, random = Math.random) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      const t = random();
+      const r = innerRadius + (outerRadius - innerRadius) * t * t + random() * 0.3;
+      const theta = random() * TAU + t * twist * TAU;
+
+      positions[i3] = Math.cos(theta) * r;
+      positions[i3 + 1] = (t - 0.5) * height;
+      positions[i3 + 2] = Math.sin(theta) * r;
+    }
+    return positions;
+  },
+
+  // Hollow sphere with a soft shell thickness
+  sphere(count, { radius = 4, thickness = 0.3 }, random = Math.random) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      // Uniform direction on the unit sphere
+      const u = random() * 2 - 1;
+      const theta = random() * TAU;
+      const s = Math.sqrt(1 - u * u);
+      const r = radius + (random() - 0.5) * thickness;
+
+      positions[i3] = Math.cos(theta) * s * r;
+      positions[i3 + 1] = u * r;
+      positions[i3 + 2] = Math.sin(theta) * s * r;
+    }
+    return positions;
+  },
+
+  // Loose random cloud filling a large volume
+  disperse(count, { radius = 12 }, random = Math.random) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const i3 = i * 3;
+      const u = random() * 2 - 1;
+      const theta = random() * TAU;
+      const s = Math.sqrt(1 - u * u);
+      // Cube root keeps the volume density uniform
+      const r = Math.cbrt(random()) * radius;
+
+      positions[i3] = Math.cos(theta) * s * r;
+      positions[i3 + 1] = u * r;
+      positions[i3 + 2] = Math.sin(theta) * s * r;
+    }
+    return positions;
+  }
+};
+
+/**
+ * Registers a named generator usable as `formation: { type: name }`. It
+ * is called as `generator(count, params, random)`; drawing from `random`
+ * instead of Math.random keeps seeded pages reproducible.
+ */
+export function registerFormation(name, generator) {
+  FORMATIONS[name] = generator;
+}
+
+/**
+ * Builds the positions for a manifest `formation` entry, which may be a
+ * built-in name, a generator function, or an object with either `type` or
+ * `generator` plus parameters.
+ */
+export function createFormation(entry, count, random = Math.random) {
+  if (typeof entry === 'function') return entry(count, {}, random);
+  if (typeof entry === 'string') entry = { type: entry };
+
+  const { type, generator, ease, ...params } = entry;
+  const build = generator || FORMATIONS[type];
+  if (!build) {
+    throw new Error(`[Formations] Unknown formation "${type}".`);
+  }
+
+  const positions = build(count, params, random);
+  if (!(positions instanceof Float32Array) || positions.length < count * 3) {
+    throw new Error(`[Formations] Generator for "${type || 'custom'}" must return a Float32Array of count * 3 values.`);
+  }
+  return positions;
+}
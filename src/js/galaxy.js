@@ -0,0 +1,96 @@
+/**
+ * galaxy.js
+ * Parameterised spiral galaxy: the particle cloud's rest positions and its
+ * per-particle attributes.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import { createRandom } from './random.js';
+
+const TAU = Math.PI * 2;
+
+export const GALAXY_DEFAULTS = {
+  seed: null,            // null draws one from the `random` generator given
+  arms: 3,
+  radius: 5,
+  radiusPower: 0.5,      // r = radius * rand^power; below 1 pushes particles outward
+  spin: 0.5,             // radians of swirl per unit of radius
+  thickness: 0.6,        // vertical scatter relative to the in-plane scatter
+  randomness: 0.45,      // scatter around the arms, relative to the radius
+  randomnessPower: 2.5,  // higher keeps more particles tight on the arms
+  insideColor: '#ff3399',
+  outsideColor: '#3366ff',
+  scaleMin: 0.5,
+  scaleMax: 2,
+  scalePower: 1          // above 1 favours small particles
+};
+
+/**
+ * Builds `count` particles of a spiral galaxy from `params` (see
+ * GALAXY_DEFAULTS). Everything comes from one seeded generator, so
+ * identical params (seed included) always give identical buffers; without
+ * a seed, one is drawn from `random`.
+ *
+ * @returns {{ positions, colors, scales, randomness, phases, gradient }}
+ *   Float32Arrays sized for the `position`, `aColor`, `aScale`,
+ *   `aRandomness` and `aPhase` attributes, plus each particle's position
+ *   on the colour gradient for colorGalaxy()
+ */
+export function createGalaxy(count, params = {}, random = Math.random) {
+  const settings = { ...GALAXY_DEFAULTS, ...params };
+  const { arms, radius, radiusPower, spin, thickness, randomness: scatter, randomnessPower } = settings;
+  const { scaleMin, scaleMax, scalePower } = settings;
+  const rand = createRandom(settings.seed !== null ? settings.seed : Math.floor(random() * 1e6));
+
+  const positions = new Float32Array(count * 3);
+  const scales = new Float32Array(count);
+  const randomness = new Float32Array(count * 3);
+  const phases = new Float32Array(count);
+  const gradient = new Float32Array(count);
+
+  // Signed offset, clustered around zero by randomnessPower
+  const jitter = (r) => Math.pow(rand(), randomnessPower) * (rand() < 0.5 ? -1 : 1) * scatter * r;
+
+  for (let i = 0; i < count; i++) {
+    const i3 = i * 3;
+    const r = Math.pow(rand(), radiusPower) * radius;
+    const arm = (Math.floor(rand() * arms) / arms) * TAU;
+    const angle = arm + r * spin;
+
+    positions[i3] = Math.cos(angle) * r + jitter(r);
+    positions[i3 + 1] = jitter(r) * thickness;
+    positions[i3 + 2] = Math.sin(angle) * r + jitter(r);
+
+    gradient[i] = radius > 0 ? r / radius : 0;
+
+    scales[i] = scaleMin + (scaleMax - scaleMin) * Math.pow(rand(), scalePower);
+
+    randomness[i3] = (rand() - 0.5) * 2.0;
+    randomness[i3 + 1] = (rand() - 0.5) * 2.0;
+    randomness[i3 + 2] = (rand() - 0.5) * 2.0;
+
+    phases[i] = rand() * TAU;
+  }
+
+  const colors = colorGalaxy(gradient, settings.insideColor, settings.outsideColor);
+  return { positions, colors, scales, randomness, phases, gradient };
+}
+
+/**
+ * Fills `colors` with the inside → outside gradient for each particle's
+ * 0..1 distance from the centre (`gradient` from createGalaxy()). Cheap
+ * enough to run every frame, e.g. while a theme change is tweening.
+ */
+export function colorGalaxy(gradient, insideColor, outsideColor, colors = new Float32Array(gradient.length * 3)) {
+  const inside = new THREE.Color(insideColor);
+  const outside = new THREE.Color(outsideColor);
+  const color = new THREE.Color();
+
+  for (let i = 0; i < gradient.length; i++) {
+    color.lerpColors(inside, outside, gradient[i]);
+    colors[i * 3] = color.r;
+    colors[i * 3 + 1] = color.g;
+    colors[i * 3 + 2] = color.b;
+  }
+  return colors;
+}
@@ -0,0 +1,260 @@
+/**
+ * input.js
+ * Pointer, touch and device-orientation input. Built on Pointer Events so
+ * mouse, pen and touch share one path; the primary pointer (first finger on
+ * touch screens) writes its normalised position into `mouse`, so existing
+ * consumers of that vector work unchanged on every device.
+ *
+ * Emits `press`, `release`, `dragstart`, `dragend` and `gyroscope` (enabled).
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import EventEmitter from './events.js';
+
+const DEFAULTS = {
+  // Element that receives the pointer events
+  target: window,
+  // Element whose box pointer coordinates are normalised against; the
+  // target by default
+  bounds: null,
+  // Vector written with the primary pointer position in -1..1
+  mouse: null,
+  // Request device-orientation input as soon as it is allowed
+  gyroscope: false,
+  // Degrees of tilt from the neutral pose that map to ±1
+  gyroscopeRange: 30,
+  // Per-frame smoothing factor applied to gyroscope readings (0..1)
+  gyroscopeSmoothing: 0.1,
+  // Pixels a pressed pointer must travel before it counts as a drag
+  dragThreshold: 6
+};
+
+export default class InputManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...DEFAULTS, ...options };
+    this.target = this.options.target;
+
+    // Normalised primary pointer position (x right, y up)
+    this.mouse = this.options.mouse || new THREE.Vector2();
+    // Normalised units per second, smoothed
+    this.velocity = new THREE.Vector2();
+
+    // Every active pointer by id: { x, y, type }
+    this.pointers = new Map();
+    this.pressed = false;
+    this.dragging = false;
+
+    // Device orientation state
+    this.gyroscopeEnabled = false;
+    this._gyroTarget = new THREE.Vector2();
+    this._gyroNeutral = null;
+    this._lastPointerTime = -Infinity;
+
+    this._pressOrigin = { x: 0, y: 0 };
+    this._lastMove = null;
+
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onOrientation = this._onOrientation.bind(this);
+
+    this.target.addEventListener('pointermove', this._onPointerMove, { passive: true });
+    this.target.addEventListener('pointerdown', this._onPointerDown, { passive: true });
+    this.target.addEventListener('pointerup', this._onPointerUp, { passive: true });
+    this.target.addEventListener('pointercancel', this._onPointerUp, { passive: true });
+
+    if (this.options.gyroscope) {
+      this._requestGyroscopeOnGesture();
+    }
+  }
+
+  /**
+   * Number of pointers currently down (fingers on a touch screen).
+   */
+  get touchCount() {
+    return this.pointers.size;
+  }
+
+  /**
+   * Starts mapping device tilt onto `mouse`. On iOS this must be called from
+   * a user gesture. Resolves to whether orientation events are available.
+   */
+  async enableGyroscope() {
+    if (this.gyroscopeEnabled) return true;
+    if (typeof DeviceOrientationEvent === 'undefined') return false;
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        const state = await DeviceOrientationEvent.requestPermission();
+        if (state !== 'granted') return false;
+      } catch (err) {
+        return false;
+      }
+    }
+
+    window.addEventListener('deviceorientation', this._onOrientation);
+    this.gyroscopeEnabled = true;
+    this._gyroNeutral = null;
+    this.emit('gyroscope', true);
+    return true;
+  }
+
+  disableGyroscope() {
+    if (!this.gyroscopeEnabled) return;
+    window.removeEventListener('deviceorientation', this._onOrientation);
+    this.gyroscopeEnabled = false;
+    this.emit('gyroscope', false);
+  }
+
+  /**
+   * Per-frame update: eases gyroscope input into `mouse` and decays velocity
+   * once the pointer stops moving.
+   */
+  update(delta) {
+    // Pointer input wins for a moment after it was last used
+    const pointerRecent = performance.now() - this._lastPointerTime < 1500;
+    if (this.gyroscopeEnabled && !this.pressed && !pointerRecent) {
+      const k = 1 - Math.pow(1 - this.options.gyroscopeSmoothing, delta * 60);
+      this.mouse.lerp(this._gyroTarget, k);
+    }
+
+    this.velocity.multiplyScalar(Math.exp(-delta * 8));
+  }
+
+  destroy() {
+    this.target.removeEventListener('pointermove', this._onPointerMove);
+    this.target.removeEventListener('pointerdown', this._onPointerDown);
+    this.target.removeEventListener('pointerup', this._onPointerUp);
+    this.target.removeEventListener('pointercancel', this._onPointerUp);
+    if (this._gestureHandler) {
+      this.target.removeEventListener('pointerup', this._gestureHandler);
+    }
+    this.disableGyroscope();
+    this.pointers.clear();
+  }
+
+  // ── Pointer handling ─────────────────────────────────────────────────
+
+  _onPointerDown(event) {
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, type: event.pointerType });
+    if (!event.isPrimary) return;
+
+    this.pressed = true;
+    this.dragging = false;
+    this._pressOrigin = { x: event.clientX, y: event.clientY };
+    this._setFromEvent(event);
+    this.emit('press', this.mouse);
+  }
+
+  _onPointerMove(event) {
+    if (this.pointers.has(event.pointerId)) {
+      this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, type: event.pointerType });
+    }
+    if (!event.isPrimary) return;
+
+    if (this.pressed && !this.dragging) {
+      const dx = event.clientX - this._pressOrigin.x;
+      const dy = event.clientY - this._pressOrigin.y;
+      if (Math.hypot(dx, dy) > this.options.dragThreshold) {
+        this.dragging = true;
+        this.emit('dragstart', this.mouse);
+      }
+    }
+
+    this._setFromEvent(event);
+  }
+
+  _onPointerUp(event) {
+    this.pointers.delete(event.pointerId);
+    if (!event.isPrimary) return;
+
+    const wasDragging = this.dragging;
+    this.pressed = false;
+    this.dragging = false;
+    if (wasDragging) this.emit('dragend', this.mouse);
+    this.emit('release', this.mouse);
+  }
+
+  _setFromEvent(event) {
+    const { left, top, width, height } = this._getBounds();
+    const x = ((event.clientX - left) / width) * 2 - 1;
+    const y = -((event.clientY - top) / height) * 2 + 1;
+
+    const now = performance.now();
+    if (this._lastMove) {
+      const dt = (now - this._lastMove.time) / 1000;
+      if (dt > 0) {
+        // Blend toward the instantaneous velocity to smooth out jitter
+        this.velocity.x += ((x - this._lastMove.x) / dt - this.velocity.x) * 0.5;
+        this.velocity.y += ((y - this._lastMove.y) / dt - this.velocity.y) * 0.5;
+      }
+    }
+    this._lastMove = { x, y, time: now };
+    this._lastPointerTime = now;
+
+    this.mouse.set(x, y);
+  }
+
+  _getBounds() {
+    const bounds = this.options.bounds || this.target;
+    if (bounds === window) {
+      return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    }
+    return bounds.getBoundingClientRect();
+  }
+
+  // ── Device orientation ───────────────────────────────────────────────
+
+  _onOrientation(event) {
+    if (event.beta === null || event.gamma === null) return;
+
+    // Rotate readings into screen space for landscape orientations
+    const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+    let tiltX = event.gamma;
+    let tiltY = event.beta;
+    if (angle === 90) {
+      tiltX = event.beta;
+      tiltY = -event.gamma;
+    } else if (angle === -90 || angle === 270) {
+      tiltX = -event.beta;
+      tiltY = event.gamma;
+    } else if (angle === 180) {
+      tiltX = -event.gamma;
+      tiltY = -event.beta;
+    }
+
+    // The pose held when tracking starts counts as centre
+    if (!this._gyroNeutral) {
+      this._gyroNeutral = { x: tiltX, y: tiltY };
+    }
+
+    const range = this.options.gyroscopeRange;
+    this._gyroTarget.set(
+      THREE.MathUtils.clamp((tiltX - this._gyroNeutral.x) / range, -1, 1),
+      THREE.MathUtils.clamp(-(tiltY - this._gyroNeutral.y) / range, -1, 1)
+    );
+  }
+
+  /**
+   * iOS only grants orientation access from a user gesture, so the opt-in
+   * request waits for the first tap.
+   */
+  _requestGyroscopeOnGesture() {
+    const needsGesture = typeof DeviceOrientationEvent !== 'undefined'
+      && typeof DeviceOrientationEvent.requestPermission === 'function';
+
+    if (!needsGesture) {
+      this.enableGyroscope();
+      return;
+    }
+
+    this._gestureHandler = () => {
+      this.target.removeEventListener('pointerup', this._gestureHandler);
+      this._gestureHandler = null;
+      this.enableGyroscope();
+    };
+    this.target.addEventListener('pointerup', this._gestureHandler);
+  }
+}
@@ -0,0 +1,88 @@
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import EventEmitter from './events.js';
+
+/**
+ * loading.js
+ * Weighted progress over the asynchronous steps of boot: module imports,
+ * textures and models (through the shared THREE.LoadingManager), particle
+ * sources and shader compilation.
+ *
+ * Emits `progress` (ratio 0..1, label) as steps finish, `error`
+ * (error, label) when a required step fails and `idle` when the manager
+ * has no items left in flight. The reported ratio never goes
+ * backwards, even when steps are added late.
+ */
+export default class LoadingTracker extends EventEmitter {
+  constructor() {
+    super();
+
+    this.total = 0;
+    this.completed = 0;
+    this.progress = 0;
+    this.label = '';
+
+    // Anything loaded through this manager is tracked automatically. Its
+    // counts only arrive with onStart / onProgress, so they are mirrored.
+    this._itemsLoaded = 0;
+    this._itemsTotal = 0;
+    const onItems = (url, loaded, total) => {
+      this._itemsLoaded = loaded;
+      this._itemsTotal = total;
+      this._report(url);
+      if (loaded === total) this.emit('idle');
+    };
+    this.manager = new THREE.LoadingManager();
+    this.manager.onStart = onItems;
+    this.manager.onProgress = onItems;
+  }
+
+  /**
+   * Tracks a promise as one step. Optional steps count as done when they
+   * fail; required failures are emitted as `error` and rethrown.
+   *
+   * @param {string} label
+   * @param {Promise} promise
+   * @param {{ weight?: number, optional?: boolean }} [options]
+   */
+  track(label, promise, { weight = 1, optional = false } = {}) {
+    this.total += weight;
+    this._report(label);
+
+    return Promise.resolve(promise).then(
+      (value) => {
+        this._complete(label, weight);
+        return value;
+      },
+      (error) => {
+        if (optional) {
+          console.warn(`[Loading] Optional step "${label}" failed.`, error);
+          this._complete(label, weight);
+          return null;
+        }
+        this.emit('error', error, label);
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Resolves once everything started through `manager` has finished.
+   */
+  whenIdle() {
+    if (this._itemsLoaded === this._itemsTotal) return Promise.resolve();
+    return new Promise((resolve) => this.once('idle', resolve));
+  }
+
+  _complete(label, weight) {
+    this.completed += weight;
+    this._report(label);
+  }
+
+  _report(label) {
+    this.label = label;
+    const total = this.total + this._itemsTotal;
+    const ratio = total > 0 ? (this.completed + this._itemsLoaded) / total : 0;
+    this.progress = Math.max(this.progress, ratio);
+    this.emit('progress', this.progress, label);
+  }
+}
@@ -0,0 +1,143 @@
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+
+/**
+ * lut.js
+ * Adobe / Resolve `.cube` colour lookup tables. Both 1D (per-channel
+ * curves) and 3D tables parse into a Data3DTexture, so one shader path
+ * applies either kind. Used by the `lut` pass in postfx.js.
+ */
+
+// 1D LUTs are resampled into a 3D texture of at most this size per axis
+const MAX_1D_EXPANSION = 32;
+
+/**
+ * Parses the text of a `.cube` file.
+ *
+ * @returns {{ title: string, type: '1D' | '3D', size: number,
+ *   domainMin: number[], domainMax: number[], data: Float32Array }}
+ *   `data` holds RGB triples in file order (red changing fastest).
+ */
+export function parseCube(text) {
+  const result = { title: '', type: null, size: 0, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data: null };
+  const values = [];
+
+  text.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [keyword, ...args] = line.split(/\s+/);
+    switch (keyword) {
+      case 'TITLE':
+        result.title = line.slice(5).trim().replace(/^"|"$/g, '');
+        break;
+      case 'LUT_1D_SIZE':
+      case 'LUT_3D_SIZE':
+        result.type = keyword === 'LUT_1D_SIZE' ? '1D' : '3D';
+        result.size = parseInt(args[0], 10);
+        break;
+      case 'DOMAIN_MIN':
+        result.domainMin = args.map(Number);
+        break;
+      case 'DOMAIN_MAX':
+        result.domainMax = args.map(Number);
+        break;
+      case 'LUT_1D_INPUT_RANGE':
+      case 'LUT_3D_INPUT_RANGE': {
+        // Resolve's shorthand for the same min / max on every channel
+        const [min, max] = args.map(Number);
+        result.domainMin = [min, min, min];
+        result.domainMax = [max, max, max];
+        break;
+      }
+      default:
+        if (/^[-+.\d]/.test(keyword)) values.push(Number(keyword), ...args.map(Number));
+    }
+  });
+
+  if (!result.type || !(result.size >= 2)) {
+    throw new Error('[LUT] Missing or invalid LUT_1D_SIZE / LUT_3D_SIZE.');
+  }
+
+  const expected = (result.type === '3D' ? result.size ** 3 : result.size) * 3;
+  if (values.length !== expected || values.some(Number.isNaN)) {
+    throw new Error(`[LUT] Expected ${expected / 3} RGB entries for a ${result.type} LUT of size ${result.size}, got ${values.length / 3}.`);
+  }
+
+  result.data = new Float32Array(values);
+  return result;
+}
+
+/**
+ * Linearly samples channel `c` of a 1D table at 0..1 position `t`.
+ */
+function sampleCurve(data, size, c, t) {
+  const position = Math.min(Math.max(t, 0), 1) * (size - 1);
+  const i = Math.min(Math.floor(position), size - 2);
+  const f = position - i;
+  return data[i * 3 + c] * (1 - f) + data[(i + 1) * 3 + c] * f;
+}
+
+/**
+ * Builds an RGBA8 Data3DTexture from a parsed `.cube`. A 1D table is
+ * expanded so each axis applies its channel's curve. The domain is kept
+ * in `texture.userData` for the shader.
+ */
+export function createLutTexture(lut) {
+  const size = lut.type === '3D' ? lut.size : Math.min(lut.size, MAX_1D_EXPANSION);
+  const data = new Uint8Array(size ** 3 * 4);
+  const toByte = (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const i = r + g * size + b * size * size;
+        let rgb;
+        if (lut.type === '3D') {
+          rgb = [lut.data[i * 3], lut.data[i * 3 + 1], lut.data[i * 3 + 2]];
+        } else {
+          rgb = [r, g, b].map((step, c) => sampleCurve(lut.data, lut.size, c, step / (size - 1)));
+        }
+        data[i * 4] = toByte(rgb[0]);
+        data[i * 4 + 1] = toByte(rgb[1]);
+        data[i * 4 + 2] = toByte(rgb[2]);
+        data[i * 4 + 3] = 255;
+      }
+    }
+  }
+
+  const texture = new THREE.Data3DTexture(data, size, size, size);
+  texture.format = THREE.RGBAFormat;
+  texture.type = THREE.UnsignedByteType;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.wrapT = THREE.ClampToEdgeWrapping;
+  texture.wrapR = THREE.ClampToEdgeWrapping;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+  texture.userData = { title: lut.title, size, domainMin: lut.domainMin, domainMax: lut.domainMax };
+  return texture;
+}
+
+/**
+ * A LUT that leaves colours unchanged; stands in while files load.
+ */
+export function createIdentityLut() {
+  return createLutTexture({
+    title: 'identity',
+    type: '1D',
+    size: 2,
+    domainMin: [0, 0, 0],
+    domainMax: [1, 1, 1],
+    data: new Float32Array([0, 0, 0, 1, 1, 1])
+  });
+}
+
+/**
+ * Fetches and parses a `.cube` file into a texture. Pass a
+ * THREE.LoadingManager to have the download tracked.
+ */
+export function loadLut(url, manager) {
+  return new THREE.FileLoader(manager).loadAsync(url)
+    .then((text) => createLutTexture(parseCube(text)));
+}
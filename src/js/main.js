@@ -1,6 +1,10 @@
-import Experience from './experience.js';
+import manifest from './manifest.js';
+import FallbackExperience from './fallback.js';
+import { probeCapabilities, getPathOptions } from './capabilities.js';
 
 const VERSION = '1.0.0';
+// Share of the progress bar spent downloading the engine's module graph
+const ENGINE_SHARE = 0.3;
 
 console.log(`%c Three.js Experience %c v${VERSION} `, 'background:#000;color:#fff;padding:4px 8px;border-radius:4px 0 0 4px;font-weight:bold;', 'background:#3498db;color:#fff;padding:4px 8px;border-radius:0 4px 4px 0;font-weight:bold;');
 console.log('%c Build: ' + new Date().toISOString(), 'color:#888;font-size:11px;');
@@ -10,6 +14,9 @@ function createLoader() {
   if (!loader) {
     loader = document.createElement('div');
     loader.id = 'loader';
+    loader.setAttribute('role', 'progressbar');
+    loader.setAttribute('aria-valuemin', '0');
+    loader.setAttribute('aria-valuemax', '100');
     Object.assign(loader.style, {
       position: 'fixed',
       top: '0',
@@ -28,6 +35,7 @@ function createLoader() {
     });
 
     const spinner = document.createElement('div');
+    spinner.className = 'loader__spinner';
     Object.assign(spinner.style, {
       width: '48px',
       height: '48px',
@@ -38,7 +46,8 @@ function createLoader() {
     });
 
     const label = document.createElement('p');
-    label.textContent = 'Loading...';
+    label.className = 'loader__label';
+    label.textContent = 'Loading... 0%';
     Object.assign(label.style, {
       color: '#ffffff',
       fontFamily: 'system-ui, sans-serif',
@@ -46,19 +55,111 @@ function createLoader() {
       letterSpacing: '0.1em',
       margin: '0',
       opacity: '0.7',
+      fontVariantNumeric: 'tabular-nums',
+    });
+
+    const bar = document.createElement('div');
+    Object.assign(bar.style, {
+      width: '160px',
+      height: '2px',
+      background: 'rgba(255,255,255,0.15)',
+      overflow: 'hidden',
+    });
+
+    const fill = document.createElement('div');
+    fill.className = 'loader__fill';
+    Object.assign(fill.style, {
+      width: '100%',
+      height: '100%',
+      background: '#3498db',
+      transform: 'scaleX(0)',
+      transformOrigin: 'left center',
+      transition: 'transform 0.2s ease-out',
     });
 
     const styleTag = document.createElement('style');
     styleTag.textContent = '@keyframes loaderSpin { to { transform: rotate(360deg); } }';
     document.head.appendChild(styleTag);
 
+    bar.appendChild(fill);
     loader.appendChild(spinner);
     loader.appendChild(label);
+    loader.appendChild(bar);
     document.body.appendChild(loader);
   }
   return loader;
 }
 
+function updateLoader(loader, ratio) {
+  const percent = Math.round(ratio * 100);
+  const label = loader.querySelector('.loader__label');
+  const fill = loader.querySelector('.loader__fill');
+
+  loader.setAttribute('aria-valuenow', String(percent));
+  if (label) label.textContent = `Loading... ${percent}%`;
+  if (fill) fill.style.transform = `scaleX(${ratio})`;
+}
+
+/**
+ * Swaps the spinner for an error message with a retry button and, when
+ * given, a way to continue with the 2D fallback.
+ */
+function showLoaderError(loader, error, onContinue) {
+  const spinner = loader.querySelector('.loader__spinner');
+  const label = loader.querySelector('.loader__label');
+
+  loader.setAttribute('role', 'alert');
+  if (spinner) {
+    spinner.style.animation = 'none';
+    spinner.style.borderColor = '#e74c3c';
+  }
+  if (label) {
+    label.textContent = `Failed to load the experience${error && error.message ? `: ${error.message}` : '.'}`;
+    label.style.opacity = '1';
+  }
+
+  const actions = document.createElement('div');
+  Object.assign(actions.style, { display: 'flex', gap: '12px' });
+
+  const addButton = (text, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    Object.assign(button.style, {
+      background: 'none',
+      border: '1px solid rgba(255,255,255,0.3)',
+      borderRadius: '4px',
+      color: '#ffffff',
+      fontFamily: 'system-ui, sans-serif',
+      fontSize: '13px',
+      padding: '8px 16px',
+      cursor: 'pointer',
+    });
+    button.addEventListener('click', onClick);
+    actions.appendChild(button);
+    return button;
+  };
+
+  addButton('Retry', () => window.location.reload()).focus();
+  if (onContinue) addButton('Continue without 3D', onContinue);
+
+  loader.appendChild(actions);
+}
+
+/**
+ * With `?debug`, also shows an error the experience could not report
+ * itself (it failed to import or construct) in the error overlay.
+ */
+async function reportDebugError(error, title) {
+  if (!new URLSearchParams(window.location.search).has('debug')) return;
+  try {
+    const { default: ErrorOverlay } = await import('./error-overlay.js');
+    new ErrorOverlay().addError(error, title);
+  } catch (err) {
+    console.error('[Experience] Error overlay unavailable:', err);
+  }
+}
+
 function fadeOutLoader(loader) {
   loader.style.opacity = '0';
   loader.addEventListener('transitionend', () => {
@@ -68,12 +169,12 @@ function fadeOutLoader(loader) {
   }, { once: true });
 }
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   console.log('%c DOM ready — initialising experience...', 'color:#3498db;');
 
   const loader = createLoader();
 
-  const canvas = document.getElementById('webgl-canvas');
+  let canvas = document.getElementById('webgl-canvas');
 
   if (!canvas) {
     console.error('[Experience] No canvas element found with id "webgl-canvas". Make sure your HTML contains <canvas id="webgl-canvas"></canvas>.');
@@ -81,18 +182,64 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
 
+  // The failed renderer may hold a WebGL context; a fresh canvas can take 2D
+  const startFallback = (reasons) => {
+    const replacement = canvas.cloneNode(false);
+    canvas.replaceWith(replacement);
+    canvas = replacement;
+    window.experience = new FallbackExperience(canvas, { reasons });
+  };
+
+  // Decide between the full, reduced and 2D fallback paths before booting
+  const capabilities = probeCapabilities();
+  if (new URLSearchParams(window.location.search).has('debug')) {
+    console.log(`%c Rendering path: ${capabilities.path}`, 'color:#888;', capabilities);
+  }
+
+  if (capabilities.path === 'fallback') {
+    window.experience = new FallbackExperience(canvas, { reasons: capabilities.reasons });
+    fadeOutLoader(loader);
+    return;
+  }
+
   let experience;
 
   try {
-    experience = new Experience(canvas);
+    // Imported here rather than statically so the download is reflected in the loader
+    const { default: Experience } = await import('./experience.js');
+    updateLoader(loader, ENGINE_SHARE);
+
+    try {
+      experience = new Experience(canvas, manifest, getPathOptions(capabilities.path));
+    } catch (err) {
+      console.error('[Experience] Failed to initialise, switching to fallback:', err);
+      reportDebugError(err, 'Failed to initialise');
+      capabilities.reasons.push(err.message);
+      startFallback(capabilities.reasons);
+      fadeOutLoader(loader);
+      return;
+    }
+
     window.experience = experience;
     console.log('%c Experience created successfully.', 'color:#2ecc71;font-weight:bold;');
     console.log('  Access it via window.experience in the console.');
-  } catch (err) {
-    console.error('[Experience] Failed to initialise:', err);
-  }
 
-  setTimeout(() => {
+    const onProgress = (ratio) => updateLoader(loader, ENGINE_SHARE + ratio * (1 - ENGINE_SHARE));
+    onProgress(experience.loading.progress);
+    experience.loading.on('progress', onProgress);
+
+    await experience.ready;
+    experience.loading.off('progress', onProgress);
     fadeOutLoader(loader);
-  }, 1500);
+  } catch (err) {
+    console.error('[Experience] Failed to load:', err);
+    // Boot errors are already on the experience's own overlay
+    if (!experience) reportDebugError(err, 'Failed to load');
+    showLoaderError(loader, err, () => {
+      // Swap the canvas out first; destroy() removes the renderer's canvas from the DOM
+      startFallback([...capabilities.reasons, err.message]);
+      if (experience) experience.destroy();
+      fadeOutLoader(loader);
+    });
+  }
 });
@@ -0,0 +1,219 @@
+/**
+ * manifest.js
+ * Default scene manifest. Each entry describes one scroll section: the DOM
+ * element it is tied to, the objects it adds to the scene, the camera shot
+ * it is seen from and which scroll animations it runs.
+ *
+ * Sections are laid out top-to-bottom in manifest order. Entries whose
+ * selector matches nothing in the page are skipped, so the markup decides
+ * which sections actually exist.
+ *
+ * `formation` names the particle shape for a section (see formations.js):
+ * a built-in name, `{ type, ...params }`, or `{ generator(count, params) }`.
+ * `{ source: 'text' | 'image' | 'svg', ... }` samples the shape from page
+ * content instead (see particle-sources.js). The optional `ease` shapes the
+ * morph into that section and `spin: 0` holds the cloud still while it is
+ * shown.
+ *
+ * A section's `camera` shot is `{ position, target, fov, roll }`, with
+ * position and look-at target relative to the section and angles in
+ * degrees; an array of shots adds extra keyframes on the way to the next
+ * section. The camera glides through every shot on a spline (see
+ * camera-rail.js); top-level `camera` sets its default `fov`, the curve
+ * and the pointer `sway`.
+ *
+ * An object's `link` makes it pickable and ties it to an element of its
+ * section (see picking.js): hovering either highlights both, and clicking
+ * the object focuses the element, or follows it with `action: 'open'`.
+ *
+ * `galaxy` sets the particle galaxy's shape and sizes (see galaxy.js);
+ * `galaxy` formations use it too, with their own params on top.
+ *
+ * `theme` picks the colour theme (see themes.js) and `themes` adds custom
+ * ones. Material params, text `colors` and SVG `color` given as '@path'
+ * strings take that colour from the theme and follow setTheme().
+ *
+ * `stats` binds a section's numbers to generated 3D bars (see stats.js);
+ * its `bar` is an object entry used as the template for every bar.
+ *
+ * `postprocessing` lists the post-FX chain (see postfx.js); a section's own
+ * `postprocessing: { [pass]: { ...params, enabled } }` is blended in as the
+ * section scrolls into view.
+ *
+ * An optional top-level `tweaks` preset (see tweaks.js, exported from the
+ * `?debug` panel) overrides uniforms, bloom, exposure and lights.
+ */
+export default {
+  // Vertical distance in world units between consecutive section groups
+  spacing: 10,
+
+  // Default easing for particle morphs between adjacent sections
+  formationEase: 'power2.inOut',
+
+  // Camera rail; unset values use CAMERA_DEFAULTS
+  camera: {
+    fov: 60,
+    sway: 0.5
+  },
+
+  // Colour theme for the scene and the page. `{ light: 'daylight', dark:
+  // 'nebula' }` follows the OS colour scheme instead.
+  theme: 'nebula',
+
+  // Particle galaxy; unset values use GALAXY_DEFAULTS and the colours come
+  // from the theme. Without a `seed` (here or as `?seed=`) the layout
+  // differs on every load.
+  galaxy: {
+    arms: 3,
+    radius: 5,
+    spin: 0.5
+  },
+
+  // Post-processing chain, rendered in this order after the scene. Passes
+  // before `output` work on linear HDR colour, those after it on the final
+  // display image. Sections can override params with `postprocessing`.
+  // Add `{ name: 'lut', src: 'grade.cube' }` after `output` to colour grade.
+  postprocessing: [
+    { name: 'dof', aperture: 0.002, maxblur: 0.008 },
+    { name: 'bloom', strength: 0.8, radius: 0.4, threshold: 0.2 },
+    { name: 'output' },
+    { name: 'chromaticAberration', offset: 0.003, velocity: 0.01 },
+    { name: 'vignette', offset: 1, darkness: 1.2 },
+    { name: 'filmGrain', intensity: 0.04 },
+    { name: 'antialias', mode: 'smaa' }
+  ],
+
+  sections: [
+    // ── Hero ─────────────────────────────────────────────────────────
+    {
+      id: 'hero',
+      selector: '.section-hero',
+      camera: { position: [0, 0, 8], target: [0, 0, 0] },
+      // Particles spell out the page title, then scatter into the galaxy
+      formation: {
+        source: 'text',
+        selector: '.hero-title',
+        colors: '@title',
+        depth: 0.4
+      },
+      objects: [
+        {
+          name: 'hero',
+          geometry: { type: 'TorusKnotGeometry', args: [1.2, 0.4, 200, 32] },
+          material: { shader: 'torus' },
+          spin: [0.18, 0.12, 0]
+        }
+      ],
+      animations: [
+        { type: 'intro', targets: 'hero', delay: 0.3, duration: 1.4, ease: 'elastic.out(1, 0.5)' }
+      ]
+    },
+
+    // ── Features ─────────────────────────────────────────────────────
+    {
+      id: 'features',
+      selector: '.section-features',
+      camera: { position: [-6, 1.5, 7.5], target: [0, 0, 0], roll: -4 },
+      formation: 'galaxy',
+      objects: [0, 1, 2].map((i) => ({
+        collection: 'features',
+        geometry: { type: 'IcosahedronGeometry', args: [0.6, 1] },
+        material: { type: 'MeshStandardMaterial', params: { color: `@features.${i}`, metalness: 0.6, roughness: 0.3 } },
+        position: [(i - 1) * 2.5, 0, 0],
+        link: '.feature-card',
+        castShadow: true,
+        receiveShadow: true,
+        spin: [0.3 + i * 0.07, 0.2 + i * 0.05, 0]
+      })),
+      animations: [
+        {
+          type: 'flyIn',
+          targets: 'features',
+          offsets: [[-5, 0, 0], [0, 3, 0], [5, 0, 0]],
+          stagger: 0.2,
+          duration: 1.0,
+          ease: 'back.out(1.7)'
+        }
+      ]
+    },
+
+    // ── Showcase ─────────────────────────────────────────────────────
+    {
+      id: 'showcase',
+      selector: '.section-showcase',
+      camera: { position: [0, 9, 3.5], target: [0, 0, 0] },
+      formation: { type: 'wave', amplitude: 0.8 },
+      objects: [
+        {
+          // High-subdivision plane used for GPU vertex-shader wave deformation
+          name: 'showcase',
+          geometry: { type: 'PlaneGeometry', args: [8, 6, 128, 128] },
+          material: { shader: 'wave' },
+          rotation: [-Math.PI / 3, 0, 0]
+        }
+      ],
+      animations: [
+        { type: 'uniform', shader: 'wave', uniform: 'uAmplitude', keyframes: [0, 0.5, 0] }
+      ],
+      // Shallower focus and a heavier frame around the wave
+      postprocessing: {
+        dof: { aperture: 0.005 },
+        vignette: { darkness: 1.5 }
+      }
+    },
+
+    // ── Stats ────────────────────────────────────────────────────────
+    {
+      id: 'stats',
+      selector: '.section-stats',
+      camera: { position: [0, 0.5, 7], target: [0, 0, 0], fov: 50 },
+      formation: { type: 'sphere', radius: 4, ease: 'back.inOut(1.4)' },
+      // One bar per `.stat-item`, scaled from its value (see stats.js)
+      stats: {
+        selector: '.stat-item',
+        bar: {
+          geometry: { type: 'BoxGeometry', args: [0.6, 1, 0.6] },
+          material: { type: 'MeshStandardMaterial', params: { metalness: 0.4, roughness: 0.5 } },
+          spacing: 1.5,
+          link: '.stat-item',
+          castShadow: true
+        }
+      },
+      animations: [
+        { type: 'stats', stagger: 0.15, duration: 0.5, ease: 'elastic.out(1, 0.5)' }
+      ]
+    },
+
+    // ── Contact ──────────────────────────────────────────────────────
+    {
+      id: 'contact',
+      selector: '.section-contact',
+      camera: { position: [0, 0, 5.5], target: [0, 0, 0], fov: 65 },
+      formation: 'disperse',
+      objects: [
+        {
+          // Outer point-cloud sphere
+          name: 'contactPoints',
+          type: 'Points',
+          geometry: { type: 'SphereGeometry', args: [1.5, 64, 64] },
+          material: { type: 'PointsMaterial', params: { color: '@contact.points', size: 0.02, sizeAttenuation: true } }
+        },
+        {
+          // Inner wireframe sphere for depth
+          name: 'contactSphere',
+          geometry: { type: 'SphereGeometry', args: [1.0, 32, 32] },
+          material: { type: 'MeshStandardMaterial', params: { color: '@contact.wireframe', wireframe: true } },
+          // Clicking the sphere starts an email
+          link: { selector: '.contact-email', action: 'open' },
+          spin: [0.15, 0.4, 0]
+        }
+      ],
+      animations: [
+        { type: 'scale', targets: 'contactSphere', from: 1, to: 2.5 }
+      ],
+      postprocessing: {
+        filmGrain: { intensity: 0.08 }
+      }
+    }
+  ]
+};
@@ -0,0 +1,42 @@
+import EventEmitter from './events.js';
+
+const PREFERENCES = ['system', 'reduce', 'no-preference'];
+
+/**
+ * motion.js
+ * Tracks whether motion should be reduced. Follows the
+ * `prefers-reduced-motion` media query live unless overridden with
+ * set('reduce') or set('no-preference'); set('system') hands control back
+ * to the media query. Emits `change` (reduced) when the outcome flips.
+ */
+export default class MotionPreference extends EventEmitter {
+  constructor(preference = 'system') {
+    super();
+
+    this._query = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this._onQueryChange = () => {
+      if (this.preference === 'system') this.emit('change', this.reduced);
+    };
+    this._query.addEventListener('change', this._onQueryChange);
+
+    this.preference = PREFERENCES.includes(preference) ? preference : 'system';
+  }
+
+  get reduced() {
+    if (this.preference === 'system') return this._query.matches;
+    return this.preference === 'reduce';
+  }
+
+  set(preference) {
+    if (!PREFERENCES.includes(preference)) {
+      throw new Error(`[Motion] Unknown preference "${preference}". Use ${PREFERENCES.join(', ')}.`);
+    }
+    const before = this.reduced;
+    this.preference = preference;
+    if (this.reduced !== before) this.emit('change', this.reduced);
+  }
+
+  destroy() {
+    this._query.removeEventListener('change', this._onQueryChange);
+  }
+}
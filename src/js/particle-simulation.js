@@ -0,0 +1,255 @@
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import { GPUComputationRenderer } from 'https://unpkg.com/three@0.157.0/examples/jsm/misc/GPUComputationRenderer.js';
+
+const DEFAULTS = {
+  // Curl-noise force scale and how fast the field evolves
+  curlStrength: 0.8,
+  curlSpeed: 0.03,
+  // Spring pulling each particle back toward its generated position
+  spring: 0.6,
+  // Velocity decay per second (exponential)
+  damping: 1.8,
+  // Cursor repulsion field, in the particle system's local units
+  repulsionRadius: 2.0,
+  repulsionForce: 12.0,
+  // Upper bound on the integration step to keep the system stable
+  maxDelta: 1 / 30
+};
+
+const PLACEHOLDER_SHADER = 'void main() { gl_FragColor = vec4(0.0); }';
+
+/**
+ * particle-simulation.js
+ * GPGPU particle physics. Position and velocity live in float render
+ * targets that are ping-ponged every frame by GPUComputationRenderer, so
+ * forces accumulate over time instead of being recomputed from the rest
+ * position. The Points material samples `positionTexture` through the
+ * per-particle `aReference` uv this class adds to the geometry.
+ *
+ * The spring force pulls particles toward a blend of two target textures
+ * (see setMorphTargets), which is how formations morph on scroll.
+ */
+export default class ParticleSimulation {
+  /**
+   * Float render targets and vertex texture fetch are both required.
+   */
+  static isSupported(renderer) {
+    const { capabilities, extensions } = renderer;
+    if (capabilities.maxVertexTextures === 0) return false;
+    if (capabilities.isWebGL2) return extensions.has('EXT_color_buffer_float');
+    return extensions.has('OES_texture_float');
+  }
+
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.BufferGeometry} geometry Particle geometry with `position` and `aPhase`
+   * @param {object} [options] Overrides for DEFAULTS
+   */
+  constructor(renderer, geometry, options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+
+    const count = geometry.attributes.position.count;
+    this.size = Math.ceil(Math.sqrt(count));
+
+    this.gpu = new GPUComputationRenderer(this.size, this.size, renderer);
+    // Simulated seconds since the last disturbance (see settled)
+    this._restTime = 0;
+
+    const positionTexture = this.gpu.createTexture();
+    const velocityTexture = this.gpu.createTexture();
+    this.originTexture = this.gpu.createTexture();
+    this._fillTextures(geometry, positionTexture.image.data, this.originTexture.image.data);
+
+    // The GLSL arrives later through setShaders()
+    this.positionVariable = this.gpu.addVariable('texturePosition', PLACEHOLDER_SHADER, positionTexture);
+    this.velocityVariable = this.gpu.addVariable('textureVelocity', PLACEHOLDER_SHADER, velocityTexture);
+    this.gpu.setVariableDependencies(this.positionVariable, [this.positionVariable, this.velocityVariable]);
+    this.gpu.setVariableDependencies(this.velocityVariable, [this.positionVariable, this.velocityVariable]);
+
+    const { curlStrength, curlSpeed, spring, damping, repulsionRadius, repulsionForce } = this.options;
+
+    this.positionVariable.material.uniforms.uDelta = { value: 0 };
+
+    this.velocityUniforms = this.velocityVariable.material.uniforms;
+    Object.assign(this.velocityUniforms, {
+      tOrigin: { value: this.originTexture },
+      tMorphFrom: { value: this.originTexture },
+      tMorphTo: { value: this.originTexture },
+      uMorph: { value: 0 },
+      uTime: { value: 0 },
+      uDelta: { value: 0 },
+      uCurlStrength: { value: curlStrength },
+      uCurlSpeed: { value: curlSpeed },
+      uSpring: { value: spring },
+      uDamping: { value: damping },
+      uPointer: { value: new THREE.Vector3() },
+      uPointerActive: { value: 0 },
+      uRepulsionRadius: { value: repulsionRadius },
+      uRepulsionForce: { value: repulsionForce }
+    });
+
+    const error = this.gpu.init();
+    if (error !== null) {
+      this.gpu.dispose();
+      throw new Error(`[ParticleSimulation] ${error}`);
+    }
+
+    // Map each particle to the texel that stores its state
+    const references = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+      references[i * 2] = ((i % this.size) + 0.5) / this.size;
+      references[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+    }
+    geometry.setAttribute('aReference', new THREE.BufferAttribute(references, 2));
+  }
+
+  /**
+   * Current particle positions (xyz) in the particle system's local space.
+   */
+  get positionTexture() {
+    return this.gpu.getCurrentRenderTarget(this.positionVariable).texture;
+  }
+
+  /**
+   * Sets the repulsion centre in the particle system's local space, or
+   * disables the field when `point` is null.
+   */
+  setPointer(point) {
+    const { uPointer, uPointerActive } = this.velocityUniforms;
+    if (point) {
+      if (!uPointerActive.value || !uPointer.value.equals(point)) this._restTime = 0;
+      uPointer.value.copy(point);
+      uPointerActive.value = 1;
+    } else {
+      if (uPointerActive.value) this._restTime = 0;
+      uPointerActive.value = 0;
+    }
+  }
+
+  /**
+   * Whether the particles have come to rest after the last disturbance
+   * (new targets, morphing, the pointer, a reset), judged by the time the
+   * spring and damping need to take out 99% of it. The curl-noise drift
+   * never stops and doesn't count.
+   */
+  get settled() {
+    const spring = this.velocityUniforms.uSpring.value;
+    const damping = this.velocityUniforms.uDamping.value;
+    // Slowest decay rate of the damped spring
+    const discriminant = damping * damping - 4 * spring;
+    const rate = discriminant > 0 ? (damping - Math.sqrt(discriminant)) / 2 : damping / 2;
+    return this._restTime > Math.log(100) / Math.max(rate, 0.01);
+  }
+
+  /**
+   * Packs `count * 3` positions into a float texture laid out like the
+   * simulation state, for use with setMorphTargets().
+   */
+  createTargetTexture(positions) {
+    return this.updateTargetTexture(this.gpu.createTexture(), positions);
+  }
+
+  /**
+   * Rewrites a target texture in place, e.g. once an async source is sampled.
+   */
+  updateTargetTexture(texture, positions) {
+    const data = texture.image.data;
+    for (let i = 0; i < positions.length / 3; i++) {
+      data[i * 4] = positions[i * 3];
+      data[i * 4 + 1] = positions[i * 3 + 1];
+      data[i * 4 + 2] = positions[i * 3 + 2];
+      data[i * 4 + 3] = 1;
+    }
+    texture.needsUpdate = true;
+    this._restTime = 0;
+    return texture;
+  }
+
+  setMorphTargets(fromTexture, toTexture) {
+    const { tMorphFrom, tMorphTo } = this.velocityUniforms;
+    if (tMorphFrom.value !== fromTexture || tMorphTo.value !== toTexture) this._restTime = 0;
+    this.velocityUniforms.tMorphFrom.value = fromTexture;
+    this.velocityUniforms.tMorphTo.value = toTexture;
+  }
+
+  /**
+   * Blend factor between the morph targets, 0..1.
+   */
+  setMorph(value) {
+    if (this.velocityUniforms.uMorph.value !== value) this._restTime = 0;
+    this.velocityUniforms.uMorph.value = value;
+  }
+
+  update(time, delta) {
+    const step = Math.min(delta, this.options.maxDelta);
+    this.velocityUniforms.uTime.value = time;
+    this.velocityUniforms.uDelta.value = step;
+    this.positionVariable.material.uniforms.uDelta.value = step;
+    this.gpu.compute();
+    this._restTime += step;
+  }
+
+  /**
+   * Sets the compute shaders (simulation-*.frag.glsl, loaded by the
+   * Experience); calling it again hot-swaps them.
+   *
+   * @param {{ position: string, velocity: string }} sources
+   */
+  setShaders({ position, velocity }) {
+    this._setShader(this.positionVariable, position);
+    this._setShader(this.velocityVariable, velocity);
+  }
+
+  _setShader(variable, source) {
+    // GPUComputationRenderer declares each dependency's sampler ahead of the GLSL
+    const samplers = variable.dependencies.map(({ name }) => `uniform sampler2D ${name};`);
+    variable.material.fragmentShader = [...samplers, source].join('\n');
+    variable.material.needsUpdate = true;
+  }
+
+  /**
+   * Re-reads rest positions and phases after the geometry's buffers were
+   * regenerated. Running particles are left where they are; reset() moves
+   * them to the new rest positions.
+   */
+  updateOrigins(geometry) {
+    const initial = this.positionVariable.initialValueTexture;
+    this._fillTextures(geometry, initial.image.data, this.originTexture.image.data);
+    initial.needsUpdate = true;
+    this.originTexture.needsUpdate = true;
+    this._restTime = 0;
+  }
+
+  /**
+   * Puts every particle back at its starting position, at rest.
+   */
+  reset() {
+    [this.positionVariable, this.velocityVariable].forEach((variable) => {
+      variable.renderTargets.forEach((target) => {
+        this.gpu.renderTexture(variable.initialValueTexture, target);
+      });
+    });
+    this._restTime = 0;
+  }
+
+  dispose() {
+    this.gpu.dispose();
+    this.originTexture.dispose();
+  }
+
+  _fillTextures(geometry, positions, origins) {
+    const source = geometry.attributes.position.array;
+    const phases = geometry.attributes.aPhase ? geometry.attributes.aPhase.array : null;
+
+    for (let i = 0; i < source.length / 3; i++) {
+      const i3 = i * 3;
+      const i4 = i * 4;
+      positions[i4] = origins[i4] = source[i3];
+      positions[i4 + 1] = origins[i4 + 1] = source[i3 + 1];
+      positions[i4 + 2] = origins[i4 + 2] = source[i3 + 2];
+      positions[i4 + 3] = 1;
+      // Origin alpha carries the particle phase to decorrelate its noise
+      origins[i4 + 3] = phases ? phases[i] : 0;
+    }
+  }
+}
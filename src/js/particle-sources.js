@@ -0,0 +1,236 @@
+/**
+ * particle-sources.js
+ * Samples particle positions and colours from rasterised content: text
+ * (using the page's loaded fonts), images and SVG. Everything is drawn to an
+ * offscreen canvas, qualifying pixels are collected by alpha or brightness,
+ * and `count` particles are scattered over them.
+ *
+ * Every sampler resolves to `{ positions, colors }`, two Float32Arrays of
+ * `count * 3` values ready for the `position`/`aColor` attributes.
+ *
+ * Common options:
+ *   width     world-space width of the sampled shape (default 10)
+ *   density   rasterisation resolution in canvas pixels per world unit
+ *             (default 48); higher values resolve finer detail
+ *   depth     random z jitter range in world units (default 0.3)
+ *   sampleBy  'alpha' or 'brightness' (default 'alpha')
+ *   threshold minimum 0..1 weight for a pixel to receive particles (default 0.5)
+ *   offset    [x, y, z] added to every position
+ *   random    generator for the scatter (see random.js), Math.random by default
+ */
+
+const DEFAULTS = {
+  width: 10,
+  density: 48,
+  depth: 0.3,
+  sampleBy: 'alpha',
+  threshold: 0.5,
+  offset: [0, 0, 0],
+  random: Math.random
+};
+
+function createContext(width, height) {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  return canvas.getContext('2d', { willReadFrequently: true });
+}
+
+async function loadImage(source) {
+  if (typeof source !== 'string') return source;
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.src = source;
+  await image.decode();
+  return image;
+}
+
+/**
+ * Scatters `count` particles over the qualifying pixels of a 2D context.
+ */
+export function sampleCanvas(context, count, options = {}) {
+  const { width: worldWidth, depth, sampleBy, threshold, offset, random } = { ...DEFAULTS, ...options };
+  const { width, height } = context.canvas;
+  const { data } = context.getImageData(0, 0, width, height);
+
+  // Indices of every pixel heavy enough to host particles
+  const candidates = [];
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    const alpha = data[i + 3] / 255;
+    const weight = sampleBy === 'brightness'
+      ? ((data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722) / 255) * alpha
+      : alpha;
+    if (weight > threshold) candidates.push(p);
+  }
+
+  if (candidates.length === 0) {
+    throw new Error('[ParticleSources] Nothing to sample: no pixel passed the threshold.');
+  }
+
+  const scale = worldWidth / width;
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+
+  for (let k = 0; k < count; k++) {
+    const pixel = candidates[Math.floor(random() * candidates.length)];
+    const x = pixel % width;
+    const y = Math.floor(pixel / width);
+    const k3 = k * 3;
+    const i = pixel * 4;
+
+    // Sub-pixel jitter so particles sharing a pixel don't stack
+    positions[k3] = (x + random() - width / 2) * scale + offset[0];
+    positions[k3 + 1] = (height / 2 - y - random()) * scale + offset[1];
+    positions[k3 + 2] = (random() - 0.5) * depth + offset[2];
+
+    colors[k3] = data[i] / 255;
+    colors[k3 + 1] = data[i + 1] / 255;
+    colors[k3 + 2] = data[i + 2] / 255;
+  }
+
+  return { positions, colors };
+}
+
+/**
+ * Rasterises a line of text.
+ *
+ * @param {string} text
+ * @param {number} count
+ * @param {object} [options] Common options plus `fontFamily`, `fontWeight`,
+ *   and `colors` (one CSS colour, or several for a horizontal gradient)
+ */
+export async function sampleText(text, count, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { fontFamily = 'Inter, sans-serif', fontWeight = 700, colors = ['#ffffff'] } = settings;
+
+  // Measure at a reference size, then scale to the requested resolution
+  const referenceFont = `${fontWeight} 100px ${fontFamily}`;
+  if (document.fonts) await document.fonts.load(referenceFont, text);
+
+  const measure = createContext(1, 1);
+  measure.font = referenceFont;
+  const referenceWidth = Math.max(measure.measureText(text).width, 1);
+
+  const canvasWidth = Math.ceil(settings.width * settings.density);
+  const fontSize = (100 * canvasWidth) / referenceWidth;
+  const canvasHeight = Math.ceil(fontSize * 1.3);
+
+  const context = createContext(canvasWidth, canvasHeight);
+  context.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+  context.textBaseline = 'middle';
+
+  const palette = Array.isArray(colors) ? colors : [colors];
+  if (palette.length > 1) {
+    const gradient = context.createLinearGradient(0, 0, canvasWidth, 0);
+    palette.forEach((color, i) => gradient.addColorStop(i / (palette.length - 1), color));
+    context.fillStyle = gradient;
+  } else {
+    context.fillStyle = palette[0];
+  }
+  context.fillText(text, 0, canvasHeight / 2);
+
+  return sampleCanvas(context, count, settings);
+}
+
+/**
+ * Recolours sampled text in place for new `colors` without resampling,
+ * e.g. on a theme change. Stops are `{ r, g, b }` in 0..1 sRGB, spread
+ * across the text's width like sampleText()'s gradient.
+ */
+export function recolorText(positions, colors, stops, options = {}) {
+  const { width, offset } = { ...DEFAULTS, ...options };
+  const last = stops.length - 1;
+
+  for (let k = 0; k < colors.length / 3; k++) {
+    const k3 = k * 3;
+    const t = Math.min(Math.max((positions[k3] - offset[0]) / width + 0.5, 0), 1) * last;
+    const index = Math.min(Math.floor(t), Math.max(last - 1, 0));
+    const from = stops[index];
+    const to = stops[Math.min(index + 1, last)];
+    const mix = t - index;
+    colors[k3] = from.r + (to.r - from.r) * mix;
+    colors[k3 + 1] = from.g + (to.g - from.g) * mix;
+    colors[k3 + 2] = from.b + (to.b - from.b) * mix;
+  }
+  return colors;
+}
+
+/**
+ * Rasterises the text of a DOM element with its computed font.
+ */
+export async function sampleElementText(element, count, options = {}) {
+  const style = getComputedStyle(element);
+  return sampleText(element.textContent.trim(), count, {
+    fontFamily: style.fontFamily,
+    fontWeight: style.fontWeight,
+    colors: [style.color],
+    ...options
+  });
+}
+
+/**
+ * Rasterises an image (URL, HTMLImageElement, ImageBitmap or canvas).
+ */
+export async function sampleImage(source, count, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const image = await loadImage(source);
+
+  const canvasWidth = Math.ceil(settings.width * settings.density);
+  const canvasHeight = Math.ceil(canvasWidth * (image.height / image.width));
+  const context = createContext(canvasWidth, canvasHeight);
+  context.drawImage(image, 0, 0, canvasWidth, canvasHeight);
+
+  return sampleCanvas(context, count, settings);
+}
+
+/**
+ * Rasterises SVG. `source` may be SVG markup, a URL to an .svg file, or raw
+ * path data; path data is filled with `color` inside `viewBox`
+ * ([minX, minY, width, height], default [0, 0, 100, 100]).
+ */
+export async function sampleSVG(source, count, options = {}) {
+  const trimmed = source.trim();
+
+  if (trimmed.startsWith('<')) {
+    const url = URL.createObjectURL(new Blob([trimmed], { type: 'image/svg+xml' }));
+    try {
+      return await sampleImage(url, count, options);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  if (/\.svg(\?|#|$)/i.test(trimmed)) {
+    return sampleImage(trimmed, count, options);
+  }
+
+  const settings = { ...DEFAULTS, ...options };
+  const { viewBox = [0, 0, 100, 100], color = '#ffffff' } = settings;
+  const canvasWidth = Math.ceil(settings.width * settings.density);
+  const canvasHeight = Math.ceil(canvasWidth * (viewBox[3] / viewBox[2]));
+
+  const context = createContext(canvasWidth, canvasHeight);
+  context.scale(canvasWidth / viewBox[2], canvasHeight / viewBox[3]);
+  context.translate(-viewBox[0], -viewBox[1]);
+  context.fillStyle = color;
+  context.fill(new Path2D(trimmed));
+
+  return sampleCanvas(context, count, settings);
+}
+
+/**
+ * Samplers addressable from a manifest `formation: { source, ... }` entry.
+ * Text sources take `text` or an `element`; image and SVG sources take `src`.
+ */
+export const PARTICLE_SOURCES = {
+  text(count, { text, element, ...options }) {
+    return element ? sampleElementText(element, count, options) : sampleText(text, count, options);
+  },
+  image(count, { src, ...options }) {
+    return sampleImage(src, count, options);
+  },
+  svg(count, { src, ...options }) {
+    return sampleSVG(src, count, options);
+  }
+};
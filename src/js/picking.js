@@ -0,0 +1,359 @@
+/**
+ * picking.js
+ * Pointer picking for 3D objects. Registered objects are raycast against
+ * under the pointer; hovering one highlights it (scale and an emissive
+ * pulse) and the DOM element linked to it, and hovering or focusing the
+ * element highlights the object in turn. Clicking an object runs its
+ * `action` on the element: 'focus' focuses it, 'open' follows it (or the
+ * first link inside it).
+ *
+ * Emits `enter` and `leave` as an object's highlight starts and ends, from
+ * either side, and `click`. Each gets `{ object, element, intersection }`;
+ * calling `preventDefault()` on a click skips the action.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import EventEmitter from './events.js';
+
+const DEFAULTS = {
+  // Element that receives the pointer events
+  target: window,
+  // Element whose box pointer coordinates are normalised against; the
+  // target by default
+  bounds: null,
+  // Pointers over these elements (and over linked elements) belong to the
+  // page, not to the scene behind it
+  exclude: 'a, button, input, select, textarea, label, [contenteditable], .lil-gui, .webgl-notice',
+  // Class on a linked element while its object is highlighted
+  highlightClass: 'is-highlighted',
+  // Hover feedback: scale factor, peak emissive glow in the material's own
+  // colour (0..1), pulse speed in radians per second and how quickly the
+  // feedback follows the hover state
+  scale: 1.12,
+  emissive: 0.6,
+  pulseSpeed: 4,
+  ease: 10,
+  cursor: 'pointer',
+  // Pixels a press may travel and still count as a click
+  dragThreshold: 6
+};
+
+// Elements that take focus without a tabindex
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+export default class Picking extends EventEmitter {
+  /**
+   * @param {object} experience Provides `camera` and `reducedMotion`
+   * @param {object} [options] Overrides for DEFAULTS
+   */
+  constructor(experience, options = {}) {
+    super();
+
+    this.experience = experience;
+    this.options = { ...DEFAULTS, ...options };
+    this.target = this.options.target;
+    // Registered objects by object
+    this.entries = new Map();
+    // Entry under the pointer, if any
+    this.hovered = null;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this._pointerInside = false;
+    this._pointerBlocked = false;
+    this._press = null;
+    this._cursor = '';
+
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onPointerOut = this._onPointerOut.bind(this);
+
+    this.target.addEventListener('pointermove', this._onPointerMove, { passive: true });
+    this.target.addEventListener('pointerdown', this._onPointerDown, { passive: true });
+    this.target.addEventListener('pointerup', this._onPointerUp, { passive: true });
+    this.target.addEventListener('pointercancel', this._onPointerOut, { passive: true });
+    this.target.addEventListener('pointerout', this._onPointerOut, { passive: true });
+  }
+
+  /**
+   * Makes `object` pickable.
+   *
+   * @param {THREE.Object3D} object
+   * @param {object} [options]
+   * @param {HTMLElement} [options.element] DOM element linked to the object
+   * @param {'focus'|'open'|null} [options.action] What a click does to the element
+   * @param {string} [options.cursor] Cursor while the object is hovered
+   */
+  add(object, { element = null, action = 'focus', cursor = this.options.cursor } = {}) {
+    this.remove(object);
+
+    const materials = (Array.isArray(object.material) ? object.material : [object.material])
+      .filter((material) => material && material.emissive && material.color)
+      .map((material) => ({ material, emissive: material.emissive.clone() }));
+
+    const entry = {
+      object,
+      element,
+      action,
+      cursor,
+      materials,
+      pointerHover: false,
+      elementHover: false,
+      highlighted: false,
+      // Feedback strength, eased towards the highlight state (0..1)
+      amount: 0,
+      // Scale without feedback, and the scale feedback last left behind
+      baseScale: object.scale.clone(),
+      appliedScale: object.scale.clone(),
+      listeners: []
+    };
+
+    if (element) {
+      const listen = (type, hovered) => {
+        const listener = () => this._setHover(entry, 'elementHover', hovered);
+        element.addEventListener(type, listener);
+        entry.listeners.push([type, listener]);
+      };
+      listen('pointerenter', true);
+      listen('pointerleave', false);
+      listen('focusin', true);
+      listen('focusout', false);
+    }
+
+    this.entries.set(object, entry);
+    return entry;
+  }
+
+  /**
+   * Stops picking `object` and puts its scale and emissive colour back.
+   */
+  remove(object) {
+    const entry = this.entries.get(object);
+    if (!entry) return;
+
+    entry.pointerHover = false;
+    entry.elementHover = false;
+    this._updateHighlight(entry);
+    this._applyFeedback(entry, 0, 1);
+    entry.listeners.forEach(([type, listener]) => entry.element.removeEventListener(type, listener));
+    this.entries.delete(object);
+    if (this.hovered === entry) this.hovered = null;
+    this._setCursor();
+  }
+
+  /**
+   * Per-frame update: picks the object under the pointer and eases the
+   * feedback. Returns true while anything is changing on screen.
+   */
+  update(delta, time) {
+    // The hover holds while a press on it may still become a click
+    if (!this._press) {
+      const hit = this._pointerInside && !this._pointerBlocked ? this._pick() : null;
+      const entry = hit ? this.entries.get(hit.object) : null;
+
+      if (entry !== this.hovered) {
+        if (this.hovered) this._setHover(this.hovered, 'pointerHover', false);
+        this.hovered = entry;
+        if (entry) this._setHover(entry, 'pointerHover', true, hit);
+        this._setCursor();
+      }
+    }
+
+    const { ease, pulseSpeed } = this.options;
+    const reduced = this.experience.reducedMotion;
+    // A steady glow instead of the pulse when motion is reduced
+    const pulse = reduced ? 1 : 0.75 + 0.25 * Math.sin(time * pulseSpeed);
+
+    let changed = false;
+    this.entries.forEach((item) => {
+      const target = item.highlighted ? 1 : 0;
+      // Settled, unless a highlight is pulsing
+      if (item.amount === target && (!item.highlighted || reduced)) return;
+
+      item.amount = reduced ? target : target + (item.amount - target) * Math.exp(-ease * delta);
+      if (Math.abs(item.amount - target) < 0.001) item.amount = target;
+      this._applyFeedback(item, item.amount, pulse);
+      changed = true;
+    });
+    return changed;
+  }
+
+  destroy() {
+    this.target.removeEventListener('pointermove', this._onPointerMove);
+    this.target.removeEventListener('pointerdown', this._onPointerDown);
+    this.target.removeEventListener('pointerup', this._onPointerUp);
+    this.target.removeEventListener('pointercancel', this._onPointerOut);
+    this.target.removeEventListener('pointerout', this._onPointerOut);
+    [...this.entries.keys()].forEach((object) => this.remove(object));
+  }
+
+  // ── Pointer handling ─────────────────────────────────────────────────
+
+  _onPointerMove(event) {
+    if (!event.isPrimary) return;
+    this._setFromEvent(event);
+
+    if (this._press) {
+      const dx = event.clientX - this._press.x;
+      const dy = event.clientY - this._press.y;
+      if (Math.hypot(dx, dy) > this.options.dragThreshold) this._press = null;
+    }
+  }
+
+  _onPointerDown(event) {
+    if (!event.isPrimary) return;
+    this._setFromEvent(event);
+
+    const hit = this._pointerBlocked ? null : this._pick();
+    this._press = hit ? { x: event.clientX, y: event.clientY, entry: this.entries.get(hit.object) } : null;
+  }
+
+  _onPointerUp(event) {
+    if (!event.isPrimary) return;
+    const press = this._press;
+    this._press = null;
+    if (!press) return;
+
+    this._setFromEvent(event);
+    const hit = this._pick();
+    if (hit && this.entries.get(hit.object) === press.entry) this._click(press.entry, hit);
+
+    // Touch has no hover; don't leave the tapped object highlighted
+    if (event.pointerType === 'touch') this._pointerInside = false;
+  }
+
+  _onPointerOut(event) {
+    // Only when leaving the target, not when crossing between elements in it
+    const { relatedTarget } = event;
+    if (event.type === 'pointerout' && relatedTarget
+      && (this.target === window || this.target.contains(relatedTarget))) return;
+    this._pointerInside = false;
+    this._press = null;
+  }
+
+  _setFromEvent(event) {
+    const { left, top, width, height } = this._getBounds();
+    this.pointer.set(
+      ((event.clientX - left) / width) * 2 - 1,
+      -((event.clientY - top) / height) * 2 + 1
+    );
+    this._pointerInside = true;
+    this._pointerBlocked = this._isBlocked(event.target);
+  }
+
+  _getBounds() {
+    const bounds = this.options.bounds || this.target;
+    if (bounds === window) {
+      return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    }
+    return bounds.getBoundingClientRect();
+  }
+
+  _isBlocked(target) {
+    if (!target || !target.closest) return false;
+    if (target.closest(this.options.exclude)) return true;
+    for (const { element } of this.entries.values()) {
+      if (element && element.contains(target)) return true;
+    }
+    return false;
+  }
+
+  // ── Picking ──────────────────────────────────────────────────────────
+
+  /**
+   * Nearest registered, visible object under the pointer, as a Raycaster
+   * intersection with `object` set to the registered object.
+   */
+  _pick() {
+    const { camera } = this.experience;
+    if (!camera || this.entries.size === 0) return null;
+
+    const objects = [...this.entries.keys()].filter((object) => this._isVisible(object));
+    this.raycaster.setFromCamera(this.pointer, camera);
+    const [hit] = this.raycaster.intersectObjects(objects, true);
+    if (!hit) return null;
+
+    // Hits on children count for the registered ancestor
+    let object = hit.object;
+    while (object && !this.entries.has(object)) object = object.parent;
+    return object ? { ...hit, object } : null;
+  }
+
+  _isVisible(object) {
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return false;
+    }
+    return true;
+  }
+
+  _setHover(entry, key, hovered, intersection = null) {
+    entry[key] = hovered;
+    this._updateHighlight(entry, intersection);
+  }
+
+  _updateHighlight(entry, intersection = null) {
+    const highlighted = entry.pointerHover || entry.elementHover;
+    if (highlighted === entry.highlighted) return;
+    entry.highlighted = highlighted;
+
+    if (entry.element) entry.element.classList.toggle(this.options.highlightClass, highlighted);
+    this.emit(highlighted ? 'enter' : 'leave', { object: entry.object, element: entry.element, intersection });
+  }
+
+  _setCursor() {
+    const cursor = this.hovered ? this.hovered.cursor : '';
+    if (cursor === this._cursor) return;
+    this._cursor = cursor;
+    (this.target === window ? document.documentElement : this.target).style.cursor = cursor;
+  }
+
+  _click(entry, intersection) {
+    const pick = {
+      object: entry.object,
+      element: entry.element,
+      intersection,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      }
+    };
+    this.emit('click', pick);
+    if (!pick.defaultPrevented) this._runAction(entry);
+  }
+
+  _runAction({ element, action }) {
+    if (!element) return;
+
+    if (action === 'open') {
+      const link = element.matches('a[href]') ? element : element.querySelector('a[href]');
+      (link || element).click();
+    } else if (action === 'focus') {
+      // Non-interactive elements (cards, stats) become focusable by script only
+      if (!element.matches(FOCUSABLE)) element.setAttribute('tabindex', '-1');
+      element.focus({ preventScroll: true });
+    }
+  }
+
+  // ── Feedback ─────────────────────────────────────────────────────────
+
+  /**
+   * Scales the object and lifts its emissive colour towards its own colour
+   * by `amount` (0..1). Scale is applied on top of whatever else animates
+   * it (intro tweens, stats bars), which only ever write the plain scale.
+   */
+  _applyFeedback(entry, amount, pulse) {
+    const { scale } = entry.object;
+    // Axes written since the last frame hold a new plain scale
+    ['x', 'y', 'z'].forEach((axis) => {
+      if (scale[axis] !== entry.appliedScale[axis]) entry.baseScale[axis] = scale[axis];
+    });
+    scale.copy(entry.baseScale).multiplyScalar(1 + (this.options.scale - 1) * amount);
+    entry.appliedScale.copy(scale);
+
+    const glow = amount * this.options.emissive * pulse;
+    entry.materials.forEach(({ material, emissive }) => {
+      material.emissive.copy(emissive).lerp(material.color, glow);
+    });
+  }
+}
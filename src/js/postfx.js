@@ -0,0 +1,597 @@
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import { loadLut, createIdentityLut } from './lut.js';
+
+// Addon modules are imported on demand so each download shows up in progress
+const ADDONS_URL = 'https://unpkg.com/three@0.157.0/examples/jsm';
+
+const FULLSCREEN_VERTEX_SHADER = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const ChromaticAberrationShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uOffset: { value: 0.003 }
+  },
+  vertexShader: FULLSCREEN_VERTEX_SHADER,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uOffset;
+    varying vec2 vUv;
+
+    void main() {
+      vec2 direction = vUv - vec2(0.5);
+      float dist = length(direction);
+      vec2 offset = normalize(direction) * uOffset * dist;
+
+      float r = texture2D(tDiffuse, vUv + offset).r;
+      float g = texture2D(tDiffuse, vUv).g;
+      float b = texture2D(tDiffuse, vUv - offset).b;
+
+      gl_FragColor = vec4(r, g, b, 1.0);
+    }
+  `
+};
+
+const FilmGrainShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0 },
+    uIntensity: { value: 0.05 }
+  },
+  vertexShader: FULLSCREEN_VERTEX_SHADER,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform float uIntensity;
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      float grain = hash(vUv * 1000.0 + fract(uTime * 7.31)) - 0.5;
+      // Grain reads strongest in the mid-tones, like film
+      float luma = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+      color.rgb += grain * uIntensity * (1.0 - abs(luma * 2.0 - 1.0));
+      gl_FragColor = color;
+    }
+  `
+};
+
+// Grades the display image through two 3D LUTs blended by uMix
+const LutShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tLutA: { value: null },
+    tLutB: { value: null },
+    uSizeA: { value: 2 },
+    uSizeB: { value: 2 },
+    uDomainMinA: { value: new THREE.Vector3(0, 0, 0) },
+    uDomainMaxA: { value: new THREE.Vector3(1, 1, 1) },
+    uDomainMinB: { value: new THREE.Vector3(0, 0, 0) },
+    uDomainMaxB: { value: new THREE.Vector3(1, 1, 1) },
+    uMix: { value: 0 },
+    uIntensity: { value: 1 }
+  },
+  vertexShader: FULLSCREEN_VERTEX_SHADER,
+  fragmentShader: `
+    precision highp sampler3D;
+
+    uniform sampler2D tDiffuse;
+    uniform sampler3D tLutA;
+    uniform sampler3D tLutB;
+    uniform float uSizeA;
+    uniform float uSizeB;
+    uniform vec3 uDomainMinA;
+    uniform vec3 uDomainMaxA;
+    uniform vec3 uDomainMinB;
+    uniform vec3 uDomainMaxB;
+    uniform float uMix;
+    uniform float uIntensity;
+    varying vec2 vUv;
+
+    vec3 grade(sampler3D lut, float size, vec3 domainMin, vec3 domainMax, vec3 color) {
+      vec3 uvw = clamp((color - domainMin) / (domainMax - domainMin), 0.0, 1.0);
+      // Sample texel centres so the table's end points map to 0 and 1
+      uvw = (uvw * (size - 1.0) + 0.5) / size;
+      return texture(lut, uvw).rgb;
+    }
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      vec3 graded = mix(
+        grade(tLutA, uSizeA, uDomainMinA, uDomainMaxA, color.rgb),
+        grade(tLutB, uSizeB, uDomainMinB, uDomainMaxB, color.rgb),
+        uMix
+      );
+      gl_FragColor = vec4(mix(color.rgb, graded, uIntensity), color.a);
+    }
+  `
+};
+
+/**
+ * Returns the texture for a `.cube` URL, starting the download the first
+ * time. The identity LUT stands in until it arrives (or if it fails).
+ */
+function requestLut(pass, experience, url) {
+  if (!url) return pass.identityLut;
+  if (!pass.luts.has(url)) {
+    pass.luts.set(url, pass.identityLut);
+    loadLut(url, experience.loading.manager)
+      .then((texture) => pass.luts.set(url, texture))
+      .catch((err) => console.warn(`[PostFX] Could not load LUT "${url}".`, err));
+  }
+  return pass.luts.get(url);
+}
+
+function setLutUniforms(uniforms, slot, texture) {
+  const { size, domainMin, domainMax } = texture.userData;
+  uniforms[`tLut${slot}`].value = texture;
+  uniforms[`uSize${slot}`].value = size;
+  uniforms[`uDomainMin${slot}`].value.fromArray(domainMin);
+  uniforms[`uDomainMax${slot}`].value.fromArray(domainMax);
+}
+
+/**
+ * Post-processing passes by name. Each definition lists the addon modules
+ * it needs (paths under examples/jsm, or a function of the params), the
+ * default params, and hooks:
+ *   create(modules, experience, params) → pass
+ *   apply(pass, params)                  push params into the pass
+ *   update(pass, frame)                  per frame; frame is { experience,
+ *                                        progress, time, velocity, params,
+ *                                        from, to, t } where from / to are
+ *                                        the two nearest sections' params
+ *   setSize(pass, width, height, pixelRatio)
+ *   dispose(pass)
+ * create() may return null when the pass is unsupported on this device.
+ */
+export const POST_PASSES = {
+  bloom: {
+    modules: ['postprocessing/UnrealBloomPass.js'],
+    defaults: { strength: 0.8, radius: 0.4, threshold: 0.2 },
+    create([{ UnrealBloomPass }], experience, { strength, radius, threshold }) {
+      const { width, height } = experience.dimensions;
+      return new UnrealBloomPass(new THREE.Vector2(width, height), strength, radius, threshold);
+    },
+    apply(pass, { strength, radius, threshold }) {
+      Object.assign(pass, { strength, radius, threshold });
+    }
+  },
+
+  // Bokeh depth of field, focused on the camera rail's look-at target
+  dof: {
+    modules: ['postprocessing/BokehPass.js'],
+    defaults: { aperture: 0.002, maxblur: 0.008 },
+    create([{ BokehPass }], experience, { aperture, maxblur }) {
+      return new BokehPass(experience.scene, experience.camera, { focus: 10, aperture, maxblur });
+    },
+    apply(pass, { aperture, maxblur }) {
+      pass.uniforms.aperture.value = aperture;
+      pass.uniforms.maxblur.value = maxblur;
+    },
+    update(pass, { experience }) {
+      const { camera, cameraLookAt } = experience;
+      pass.uniforms.focus.value = camera.position.distanceTo(cameraLookAt);
+    }
+  },
+
+  // Tone mapping and sRGB conversion; passes after it work in display space
+  output: {
+    modules: ['postprocessing/OutputPass.js'],
+    defaults: {},
+    create([{ OutputPass }]) {
+      return new OutputPass();
+    }
+  },
+
+  chromaticAberration: {
+    modules: ['postprocessing/ShaderPass.js'],
+    // Resting offset, plus extra per unit of scroll velocity
+    defaults: { offset: 0.003, velocity: 0.01 },
+    create([{ ShaderPass }]) {
+      return new ShaderPass(ChromaticAberrationShader);
+    },
+    update(pass, { velocity, params }) {
+      pass.uniforms.uOffset.value = params.offset + Math.abs(velocity) * params.velocity;
+    }
+  },
+
+  vignette: {
+    modules: ['postprocessing/ShaderPass.js', 'shaders/VignetteShader.js'],
+    defaults: { offset: 1, darkness: 1.2 },
+    create([{ ShaderPass }, { VignetteShader }]) {
+      return new ShaderPass(VignetteShader);
+    },
+    apply(pass, { offset, darkness }) {
+      pass.uniforms.offset.value = offset;
+      pass.uniforms.darkness.value = darkness;
+    }
+  },
+
+  filmGrain: {
+    modules: ['postprocessing/ShaderPass.js'],
+    defaults: { intensity: 0.05 },
+    create([{ ShaderPass }]) {
+      return new ShaderPass(FilmGrainShader);
+    },
+    apply(pass, { intensity }) {
+      pass.uniforms.uIntensity.value = intensity;
+    },
+    update(pass, { time }) {
+      pass.uniforms.uTime.value = time;
+    }
+  },
+
+  // Colour grading from .cube files. Where the two sections around the
+  // scroll position name different `src` LUTs the pass crossfades between
+  // them; otherwise it blends its own `src` into `blend` by `mix`.
+  lut: {
+    modules: ['postprocessing/ShaderPass.js'],
+    defaults: { src: null, blend: null, mix: 0, intensity: 1 },
+    create([{ ShaderPass }], experience, params) {
+      // 3D textures need WebGL2
+      if (!experience.renderer.capabilities.isWebGL2) return null;
+
+      const pass = new ShaderPass(LutShader);
+      pass.identityLut = createIdentityLut();
+      pass.luts = new Map();
+
+      // Start every download up front so boot waits for them
+      const urls = [params.src, params.blend];
+      experience.sections.forEach(({ config }) => {
+        const overrides = (config.postprocessing || {}).lut || {};
+        urls.push(overrides.src, overrides.blend);
+      });
+      urls.forEach((url) => requestLut(pass, experience, url));
+      return pass;
+    },
+    apply(pass, { intensity }) {
+      pass.uniforms.uIntensity.value = intensity;
+    },
+    update(pass, { experience, params, from, to, t }) {
+      const crossfade = from.src !== to.src;
+      const a = crossfade ? from.src : params.src;
+      const b = crossfade ? to.src : params.blend || params.src;
+      setLutUniforms(pass.uniforms, 'A', requestLut(pass, experience, a));
+      setLutUniforms(pass.uniforms, 'B', requestLut(pass, experience, b));
+      pass.uniforms.uMix.value = crossfade ? t : params.mix;
+    },
+    dispose(pass) {
+      pass.identityLut.dispose();
+      pass.luts.forEach((texture) => texture.dispose());
+    }
+  },
+
+  // The renderer's own MSAA is lost once the composer renders offscreen
+  antialias: {
+    modules: ({ mode }) => (mode === 'smaa'
+      ? ['postprocessing/SMAAPass.js']
+      : ['postprocessing/ShaderPass.js', 'shaders/FXAAShader.js']),
+    defaults: { mode: 'fxaa' },
+    create(modules, experience, { mode }) {
+      if (mode === 'smaa') {
+        const [{ SMAAPass }] = modules;
+        return new SMAAPass(experience.dimensions.width, experience.dimensions.height);
+      }
+      const [{ ShaderPass }, { FXAAShader }] = modules;
+      return new ShaderPass(FXAAShader);
+    },
+    setSize(pass, width, height, pixelRatio) {
+      // SMAAPass is sized by the composer; FXAA needs the texel size
+      if (pass.uniforms && pass.uniforms.resolution) {
+        pass.uniforms.resolution.value.set(1 / (width * pixelRatio), 1 / (height * pixelRatio));
+      }
+    }
+  }
+};
+
+/**
+ * Registers a named pass usable in the manifest's `postprocessing` chain.
+ */
+export function registerPass(name, definition) {
+  POST_PASSES[name] = definition;
+}
+
+function blend(a, b, t) {
+  if (typeof a === 'number' && typeof b === 'number') return a + (b - a) * t;
+  return t < 0.5 ? a : b;
+}
+
+/**
+ * postfx.js
+ * Builds the EffectComposer chain from the manifest's `postprocessing`
+ * list: `{ name, enabled, ...params }` entries rendered in order after the
+ * scene. Passes can be toggled and re-parameterised at runtime, and a
+ * section's `postprocessing: { [name]: { ...params, enabled } }` overrides
+ * are blended in by scroll the same way formations are.
+ */
+export default class PostProcessing {
+  constructor(experience, chain = []) {
+    this.experience = experience;
+    // Copied, since passes can be added before init()
+    this.chain = [...chain];
+    this.composer = null;
+
+    // Chain entries in render order: { name, definition, pass, params, enabled }
+    this.entries = [];
+    // Names the active quality tier switches off
+    this._tierDisabled = new Set();
+    // Settles once init() has built (or given up on) the composer
+    this._initializing = null;
+  }
+
+  /**
+   * Imports every module the chain needs (reported through the
+   * experience's loading tracker) and assembles the composer. Missing
+   * core modules leave `composer` null so the scene renders directly; a
+   * pass whose own modules fail is skipped.
+   */
+  init() {
+    this._initializing = this._init();
+    return this._initializing;
+  }
+
+  async _init() {
+    const { experience } = this;
+    const [composerModule, renderModule] = await Promise.all([
+      this._load('postprocessing/EffectComposer.js'),
+      this._load('postprocessing/RenderPass.js')
+    ]);
+
+    const configs = this.chain.map((entry) => this._configure(entry)).filter(Boolean);
+    const loaded = await Promise.all(configs.map((config) => config.modules));
+
+    if (!composerModule || !renderModule) {
+      console.warn('[PostFX] Post-processing modules not available; rendering without effects.');
+      return;
+    }
+
+    this.composer = new composerModule.EffectComposer(experience.renderer);
+    this.composer.addPass(new renderModule.RenderPass(experience.scene, experience.camera));
+
+    configs.forEach((config, i) => {
+      const entry = this._createEntry(config, loaded[i]);
+      if (!entry) return;
+      this.composer.addPass(entry.pass);
+      this.entries.push(entry);
+    });
+
+    this._applyEnabled();
+    this.update({ progress: 0, time: 0, velocity: 0 });
+  }
+
+  /**
+   * Adds a chain entry (`'name'` or `{ name, enabled, ...params }`) at
+   * runtime, in front of the pass named `before` or else at the end.
+   * Before init() it simply joins the chain. Resolves to the pass, or null
+   * when it could not be created.
+   */
+  async add(chainEntry, { before = null } = {}) {
+    if (!this._initializing) {
+      const index = this.chain.findIndex((entry) => (entry.name || entry) === before);
+      this.chain.splice(index === -1 ? this.chain.length : index, 0, chainEntry);
+      return null;
+    }
+
+    await this._initializing;
+    const config = this._configure(chainEntry);
+    if (!config || !this.composer) return null;
+    const entry = this._createEntry(config, await config.modules);
+    // Removed or disposed while its modules were loading
+    if (!entry || !this.composer) return null;
+
+    const next = this.get(before);
+    if (next) {
+      this.composer.insertPass(entry.pass, this.composer.passes.indexOf(next.pass));
+      this.entries.splice(this.entries.indexOf(next), 0, entry);
+    } else {
+      this.composer.addPass(entry.pass);
+      this.entries.push(entry);
+    }
+
+    const { dimensions, renderer } = this.experience;
+    if (entry.definition.setSize) {
+      entry.definition.setSize(entry.pass, dimensions.width, dimensions.height, renderer.getPixelRatio());
+    }
+    this._applyEntry(entry, entry.params);
+    this._applyEnabled();
+    return entry.pass;
+  }
+
+  /**
+   * Takes the named pass out of the chain and disposes it.
+   */
+  remove(name) {
+    this.chain = this.chain.filter((entry) => (entry.name || entry) !== name);
+    const entry = this.get(name);
+    if (!entry) return;
+
+    this.composer.removePass(entry.pass);
+    this._disposeEntry(entry);
+    this.entries.splice(this.entries.indexOf(entry), 1);
+  }
+
+  /**
+   * Disposes the composer and builds it again from the passes it has now,
+   * with their current params and `enabled` state; after a lost WebGL
+   * context, for one. Call setSize() once it resolves.
+   */
+  async rebuild() {
+    await this._initializing;
+    if (!this.composer) return;
+
+    this.chain = this.entries.map(({ name, params, enabled }) => ({ ...params, name, enabled }));
+    this.dispose();
+    await this.init();
+  }
+
+  get(name) {
+    return this.entries.find((entry) => entry.name === name) || null;
+  }
+
+  getPass(name) {
+    const entry = this.get(name);
+    return entry ? entry.pass : null;
+  }
+
+  /**
+   * Changes a pass's base params; section overrides still apply on top.
+   */
+  set(name, params) {
+    const entry = this.get(name);
+    if (!entry) return;
+    Object.assign(entry.params, params);
+    this._applyEntry(entry, entry.params);
+  }
+
+  setEnabled(name, enabled) {
+    const entry = this.get(name);
+    if (!entry) return;
+    entry.enabled = enabled;
+    this._applyEnabled();
+  }
+
+  /**
+   * Passes the quality tier turns off, whatever their own `enabled` says.
+   */
+  setTierDisabled(names = []) {
+    this._tierDisabled = new Set(names);
+    this._applyEnabled();
+  }
+
+  /**
+   * Blends section overrides for the given 0..1 page progress into each
+   * pass and runs the per-frame hooks.
+   */
+  update({ progress, time, velocity }) {
+    const { sections } = this.experience;
+    const last = sections.length - 1;
+    const position = progress * Math.max(last, 0);
+    const index = Math.min(Math.floor(position), Math.max(last - 1, 0));
+    const t = position - index;
+    const overrides = (section) => (section && section.config.postprocessing) || {};
+    const fromOverrides = overrides(sections[index]);
+    const toOverrides = overrides(sections[Math.min(index + 1, last)]);
+
+    let sectionsChanged = false;
+    this.entries.forEach((entry) => {
+      const a = fromOverrides[entry.name] || {};
+      const b = toOverrides[entry.name] || {};
+      const params = { ...entry.params };
+      Object.keys({ ...a, ...b }).forEach((key) => {
+        if (key === 'enabled') return;
+        const base = entry.params[key];
+        params[key] = blend(key in a ? a[key] : base, key in b ? b[key] : base, t);
+      });
+      this._applyEntry(entry, params);
+
+      const sectionEnabled = blend(a.enabled !== false, b.enabled !== false, t);
+      if (entry.sectionEnabled !== sectionEnabled) {
+        entry.sectionEnabled = sectionEnabled;
+        sectionsChanged = true;
+      }
+
+      if (entry.definition.update) {
+        entry.definition.update(entry.pass, {
+          experience: this.experience,
+          progress,
+          time,
+          velocity,
+          params,
+          from: { ...entry.params, ...a },
+          to: { ...entry.params, ...b },
+          t
+        });
+      }
+    });
+
+    if (sectionsChanged) this._applyEnabled();
+  }
+
+  setSize(width, height, pixelRatio) {
+    if (!this.composer) return;
+    this.composer.setPixelRatio(pixelRatio);
+    this.composer.setSize(width, height);
+    this.entries.forEach(({ definition, pass }) => {
+      if (definition.setSize) definition.setSize(pass, width, height, pixelRatio);
+    });
+  }
+
+  render(delta) {
+    if (this.composer) {
+      this.composer.render(delta);
+    } else {
+      this.experience.renderer.render(this.experience.scene, this.experience.camera);
+    }
+  }
+
+  dispose() {
+    this.entries.forEach((entry) => this._disposeEntry(entry));
+    if (this.composer) this.composer.dispose();
+    this.entries = [];
+    this.composer = null;
+  }
+
+  // Addon imports are reported through the experience's loading tracker
+  _load(path) {
+    return this.experience.loading.track(
+      path.split('/').pop(),
+      import(`${ADDONS_URL}/${path}`),
+      { optional: true }
+    );
+  }
+
+  /**
+   * Resolves a chain entry against POST_PASSES and starts importing the
+   * modules it needs.
+   */
+  _configure(chainEntry) {
+    const { name, enabled = true, ...params } = typeof chainEntry === 'string' ? { name: chainEntry } : chainEntry;
+    const definition = POST_PASSES[name];
+    if (!definition) {
+      console.warn(`[PostFX] Unknown pass "${name}".`);
+      return null;
+    }
+    const merged = { ...definition.defaults, ...params };
+    const paths = typeof definition.modules === 'function' ? definition.modules(merged) : definition.modules;
+    return { name, definition, enabled, params: merged, modules: Promise.all(paths.map((path) => this._load(path))) };
+  }
+
+  _createEntry({ name, definition, enabled, params }, modules) {
+    if (modules.includes(null)) {
+      console.warn(`[PostFX] Pass "${name}" skipped: its modules failed to load.`);
+      return null;
+    }
+    const pass = definition.create(modules, this.experience, params);
+    if (!pass) {
+      console.warn(`[PostFX] Pass "${name}" skipped: not supported on this device.`);
+      return null;
+    }
+    return { name, definition, pass, params, enabled };
+  }
+
+  _disposeEntry({ definition, pass }) {
+    if (definition.dispose) definition.dispose(pass);
+    if (pass.dispose) pass.dispose();
+  }
+
+  _applyEntry(entry, params) {
+    if (entry.definition.apply) entry.definition.apply(entry.pass, params);
+  }
+
+  _applyEnabled() {
+    this.entries.forEach((entry) => {
+      entry.pass.enabled = entry.enabled
+        && entry.sectionEnabled !== false
+        && !this._tierDisabled.has(entry.name);
+    });
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * quality.js
+ * Runtime quality governor. Fed one frame time per tick, it keeps a
+ * smoothed FPS estimate and steps between QUALITY_TIERS to hold the frame
+ * rate, emitting `change` (tier, previousTier) whenever the tier moves.
+ */
+
+import EventEmitter from './events.js';
+
+/**
+ * Quality tiers from cheapest to most expensive. Each tier lists every
+ * setting the governor controls; `disabledPasses` names post-processing
+ * passes (see postfx.js) switched off at that tier.
+ */
+export const QUALITY_TIERS = [
+  {
+    name: 'low',
+    particles: 20000,
+    pixelRatio: 1,
+    bloom: { resolution: 0.25, strength: 0.5 },
+    shadowMapSize: 512,
+    disabledPasses: ['chromaticAberration', 'dof', 'filmGrain']
+  },
+  {
+    name: 'medium',
+    particles: 30000,
+    pixelRatio: 1.5,
+    bloom: { resolution: 0.5, strength: 0.7 },
+    shadowMapSize: 1024,
+    disabledPasses: ['dof']
+  },
+  {
+    name: 'high',
+    particles: 80000,
+    pixelRatio: 2,
+    bloom: { resolution: 1, strength: 0.8 },
+    shadowMapSize: 2048,
+    disabledPasses: []
+  }
+];
+
+const DEFAULTS = {
+  // Force a tier by name and disable automatic switching
+  tier: null,
+  // Caps every tier's particle count, e.g. for a small embedded scene
+  particles: null,
+  // Average FPS below which we step down / above which we step up
+  downgradeFps: 45,
+  upgradeFps: 58,
+  // Seconds the average must stay past a threshold before switching.
+  // Stepping up is deliberately slower than stepping down.
+  downgradeAfter: 2,
+  upgradeAfter: 5,
+  // Seconds after a switch during which samples are ignored
+  cooldown: 3,
+  // Frames longer than this (tab switch, debugger pause) are discarded
+  maxFrameTime: 0.25
+};
+
+export default class QualityManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...DEFAULTS, ...options };
+    const { particles } = this.options;
+    this.tiers = particles
+      ? QUALITY_TIERS.map((tier) => ({ ...tier, particles: Math.min(tier.particles, particles) }))
+      : QUALITY_TIERS;
+
+    // Exponentially smoothed frames-per-second estimate
+    this.fps = 60;
+
+    // Seconds spent continuously below / above the thresholds
+    this._slowTime = 0;
+    this._fastTime = 0;
+    this._cooldown = 0;
+
+    const forced = this._findTier(this.options.tier);
+    this.forced = !!forced;
+    this.tier = forced || this._detectInitialTier();
+  }
+
+  /**
+   * Most expensive tier allocated up front so every tier fits in the
+   * same buffers.
+   */
+  get maxTier() {
+    return this.tiers[this.tiers.length - 1];
+  }
+
+  /**
+   * Records one frame. `delta` is the frame time in seconds.
+   */
+  update(delta) {
+    if (delta <= 0 || delta > this.options.maxFrameTime) return;
+
+    this.fps += (1 / delta - this.fps) * 0.05;
+
+    if (this.forced) return;
+
+    if (this._cooldown > 0) {
+      this._cooldown -= delta;
+      return;
+    }
+
+    const { downgradeFps, upgradeFps, downgradeAfter, upgradeAfter } = this.options;
+    this._slowTime = this.fps < downgradeFps ? this._slowTime + delta : 0;
+    this._fastTime = this.fps > upgradeFps ? this._fastTime + delta : 0;
+
+    const index = this.tiers.indexOf(this.tier);
+    if (this._slowTime > downgradeAfter && index > 0) {
+      this._switchTo(this.tiers[index - 1]);
+    } else if (this._fastTime > upgradeAfter && index < this.tiers.length - 1) {
+      this._switchTo(this.tiers[index + 1]);
+    }
+  }
+
+  /**
+   * Forces a tier by name. Passing null hands control back to the governor.
+   */
+  setTier(name) {
+    const tier = this._findTier(name);
+    this.forced = !!tier;
+    if (tier) this._switchTo(tier);
+  }
+
+  _switchTo(tier) {
+    if (tier === this.tier) return;
+    const previous = this.tier;
+    this.tier = tier;
+
+    // Reset timers and give the new tier time to settle before judging it
+    this._slowTime = 0;
+    this._fastTime = 0;
+    this._cooldown = this.options.cooldown;
+
+    this.emit('change', tier, previous);
+  }
+
+  _findTier(name) {
+    if (!name) return null;
+    const tier = this.tiers.find((t) => t.name === name);
+    if (!tier) {
+      console.warn(`[Quality] Unknown tier "${name}", falling back to automatic.`);
+    }
+    return tier || null;
+  }
+
+  _detectInitialTier() {
+    // Touch-first devices start one tier down; the governor climbs if it can
+    const coarse = window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+    return coarse ? this.tiers[1] : this.maxTier;
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * random.js
+ * Seedable pseudo-random numbers. Each Experience makes its own generator
+ * with createRandom() and hands it to the particle and formation code, so
+ * a seeded page builds identical particle layouts on every load (see
+ * capture.js) and instances on one page never draw from each other's.
+ */
+
+// Strings such as `?seed=launch` hash to a 32-bit seed (FNV-1a); numeric
+// ones like `?seed=42` seed the same as the number
+function hashSeed(seed) {
+  if (typeof seed === 'string' && seed.trim() !== '' && Number.isFinite(Number(seed))) seed = Number(seed);
+  if (typeof seed === 'number') return seed >>> 0;
+  let hash = 2166136261;
+  for (let i = 0; i < String(seed).length; i++) {
+    hash ^= String(seed).charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Independent generator (mulberry32) returning floats in [0, 1).
+ * Identical seeds give identical sequences; null or undefined gives
+ * Math.random.
+ */
+export function createRandom(seed) {
+  if (seed === null || seed === undefined) return Math.random;
+  let state = hashSeed(seed);
+  return function next() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Child generator seeded from `random`. Work that finishes asynchronously
+ * (font and image loads) takes one up front, so its draws don't depend on
+ * the order the loads complete in.
+ */
+export function forkRandom(random) {
+  return createRandom(Math.floor(random() * 4294967296));
+}
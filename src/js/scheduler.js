@@ -0,0 +1,168 @@
+/**
+ * scheduler.js
+ * Decides which animation frames are rendered. Fed the wall-clock time of
+ * every frame, tick() returns the time to render with, or null to skip:
+ * skipped time is carried into the next rendered frame, except while idle,
+ * when time stands still so animations resume where they stopped.
+ *
+ * In on-demand mode frames are rendered for `idleTimeout` seconds after
+ * the last wake(), which the owner calls on input, scroll, tweens and any
+ * other change on screen. The Battery Status API, where there is one,
+ * drives 'battery' mode; without it that mode renders continuously.
+ *
+ * Emits `change` (mode) when the mode, or the battery state behind it,
+ * changes, and `idle` / `active` as on-demand rendering stops and starts.
+ */
+
+import EventEmitter from './events.js';
+
+export const RENDER_MODES = ['continuous', 'capped', 'ondemand', 'battery'];
+
+const DEFAULTS = {
+  // 'continuous' renders every animation frame, 'capped' at most `fps`
+  // times a second, 'ondemand' only while something is moving, and
+  // 'battery' switches to saving (on-demand and capped) while unplugged
+  mode: 'continuous',
+  fps: 30,
+  // Seconds without activity before on-demand rendering stops
+  idleTimeout: 2,
+  // Battery level (0..1) at or below which 'battery' mode saves power
+  // while discharging; 1 saves whenever unplugged
+  batteryLevel: 1
+};
+
+export default class RenderScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...DEFAULTS, ...options };
+    this.mode = null;
+    // True while 'battery' mode is saving power
+    this.saving = false;
+    this.idle = false;
+
+    this._elapsed = 0;
+    this._idleTime = 0;
+    this._battery = null;
+    this._batteryRequest = null;
+    this._destroyed = false;
+    this._onBatteryChange = this._onBatteryChange.bind(this);
+
+    this.setMode(this.options.mode);
+  }
+
+  /**
+   * Switches mode at runtime; `options` may also change `fps`,
+   * `idleTimeout` or `batteryLevel`.
+   */
+  setMode(mode, options = {}) {
+    if (!RENDER_MODES.includes(mode)) {
+      console.warn(`[Scheduler] Unknown render mode "${mode}", using "continuous".`);
+      mode = 'continuous';
+    }
+    Object.assign(this.options, options);
+    this.mode = mode;
+    if (mode === 'battery') this._watchBattery();
+
+    this._updateSaving();
+    this.wake();
+    this.emit('change', mode);
+  }
+
+  /**
+   * Whether frames are rendered only while something is moving.
+   */
+  get onDemand() {
+    return this.mode === 'ondemand' || this.saving;
+  }
+
+  /**
+   * Highest frame rate rendered, or 0 for the display's own.
+   */
+  get fps() {
+    return this.mode === 'capped' || this.saving ? this.options.fps : 0;
+  }
+
+  /**
+   * Marks activity: on-demand rendering runs for another `idleTimeout`.
+   */
+  wake() {
+    this._idleTime = 0;
+    if (!this.idle) return;
+    this.idle = false;
+    this.emit('active');
+  }
+
+  /**
+   * Called once per animation frame with the seconds since the last one.
+   * Returns the seconds to advance the rendered frame by, or null to skip it.
+   */
+  tick(delta) {
+    if (this.onDemand) {
+      this._idleTime += delta;
+      if (this._idleTime > this.options.idleTimeout) {
+        if (!this.idle) {
+          this.idle = true;
+          this.emit('idle');
+        }
+        this._elapsed = 0;
+        return null;
+      }
+    }
+
+    this._elapsed += delta;
+    const { fps } = this;
+    // rAF timing jitters around the display's interval, so allow a little early
+    if (fps > 0 && this._elapsed < 0.9 / fps) return null;
+
+    const elapsed = this._elapsed;
+    this._elapsed = 0;
+    return elapsed;
+  }
+
+  destroy() {
+    if (this._battery) {
+      this._battery.removeEventListener('chargingchange', this._onBatteryChange);
+      this._battery.removeEventListener('levelchange', this._onBatteryChange);
+    }
+    this._battery = null;
+    this._destroyed = true;
+  }
+
+  // ── Battery ──────────────────────────────────────────────────────────
+
+  _watchBattery() {
+    if (this._batteryRequest || typeof navigator === 'undefined' || !navigator.getBattery) return;
+
+    this._batteryRequest = navigator.getBattery()
+      .then((battery) => {
+        if (this._destroyed) return;
+        this._battery = battery;
+        battery.addEventListener('chargingchange', this._onBatteryChange);
+        battery.addEventListener('levelchange', this._onBatteryChange);
+        this._onBatteryChange();
+      })
+      .catch((err) => {
+        console.warn('[Scheduler] Battery status unavailable, rendering continuously.', err);
+      });
+  }
+
+  _onBatteryChange() {
+    if (this._updateSaving()) {
+      this.wake();
+      this.emit('change', this.mode);
+    }
+  }
+
+  /**
+   * Recomputes `saving`; returns true when it changed.
+   */
+  _updateSaving() {
+    const battery = this._battery;
+    const saving = this.mode === 'battery' && !!battery
+      && !battery.charging && battery.level <= this.options.batteryLevel;
+    if (saving === this.saving) return false;
+    this.saving = saving;
+    return true;
+  }
+}
@@ -0,0 +1,239 @@
+import * as THREE from 'https://unpkg.com/three@0.157.0/build/three.module.js';
+import EventEmitter from './events.js';
+
+const DEFAULTS = {
+  // Directory holding the .glsl files; chunks live in its `chunks/`
+  baseUrl: new URL('../shaders/', import.meta.url),
+  // GLSL ES 3.00 (WebGL2) and 1.00 number the lines after #line differently
+  webgl2: true,
+  // Poll the files and re-apply programs whose sources changed
+  hotReload: false,
+  interval: 1000
+};
+
+const INCLUDE = /^\s*#include\s+<([\w-]+)>/;
+const LOG_LINE = /^(ERROR|WARNING):\s*(\d+):(\d+):\s*(.*)$/;
+
+/**
+ * shader-loader.js
+ * Loads the engine's GLSL from src/shaders at runtime. `#include <name>`
+ * pulls in chunks/<name>.glsl (once per shader, recursively); names found
+ * in THREE.ShaderChunk are left for three.js to resolve. Every file is
+ * tagged with `#line` directives so compile errors name the original file
+ * and line.
+ *
+ * Programs are bound with use(); with `hotReload` the files are polled and
+ * a program is re-applied, uniforms untouched, whenever one of its files
+ * or chunks changes. Emits `change` (keys) after a reload and `error`
+ * (errors) when a program fails to compile.
+ */
+export default class ShaderLoader extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULTS, ...options };
+
+    // File key ('torus.vert', 'chunks/noise') → promise of its text
+    this._texts = new Map();
+    // File key → the text last resolved into a program, for error excerpts
+    this._sources = new Map();
+    // Keys by #line source-string number - 1
+    this._keys = [];
+    this._bindings = new Set();
+    this._pending = new Set();
+
+    if (this.options.hotReload) this._poll();
+  }
+
+  /**
+   * Calls `apply(sources)` with the resolved GLSL of `files`, given as
+   * `{ vertexShader: 'torus.vert', ... }`, once they have loaded and again
+   * whenever one of them changes. Returns a function that unbinds.
+   */
+  use(files, apply) {
+    const binding = { files, apply, dependencies: new Set() };
+    this._bindings.add(binding);
+
+    const update = this._update(binding);
+    this._pending.add(update);
+    update.finally(() => this._pending.delete(update)).catch(() => {});
+
+    return () => this._bindings.delete(binding);
+  }
+
+  /**
+   * use() for a ShaderMaterial: sets its shaders and flags a recompile.
+   */
+  bindMaterial(material, files) {
+    return this.use(files, (sources) => {
+      Object.assign(material, sources);
+      material.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Settles once every program bound so far has its sources.
+   */
+  whenLoaded() {
+    return Promise.all([...this._pending]);
+  }
+
+  /**
+   * Handler for `renderer.debug.onShaderError`: logs the compiler output
+   * against the original files and emits `error` with
+   * `[{ stage, file, line, message, excerpt, log }]`, where `excerpt` is
+   * the lines around the error (`[{ line, text }]`) and `log` the driver's
+   * full output for that stage.
+   */
+  reportError(gl, program, vertexShader, fragmentShader) {
+    const errors = [];
+    [['vertex', vertexShader], ['fragment', fragmentShader]].forEach(([stage, shader]) => {
+      if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return;
+      const log = (gl.getShaderInfoLog(shader) || '').trim();
+      log.split('\n').forEach((entry) => {
+        const match = entry.trim().match(LOG_LINE);
+        if (!match || match[1] !== 'ERROR') return;
+        const source = Number(match[2]);
+        const line = Number(match[3]);
+        errors.push({
+          stage,
+          file: this._fileName(source),
+          line,
+          message: match[4],
+          excerpt: this._excerpt(source, line),
+          log
+        });
+      });
+    });
+    if (errors.length === 0) {
+      const log = (gl.getProgramInfoLog(program) || '').trim();
+      errors.push({ stage: 'link', file: null, line: 0, message: log, excerpt: [], log });
+    }
+
+    errors.forEach(({ stage, file, line, message }) => {
+      console.error(`[Shaders] ${file ? `${file}:${line}` : stage}: ${message}`);
+    });
+    this.emit('error', errors);
+  }
+
+  dispose() {
+    clearTimeout(this._pollTimer);
+    this._disposed = true;
+    this._bindings.clear();
+  }
+
+  async _update(binding) {
+    const dependencies = new Set();
+    const entries = await Promise.all(Object.entries(binding.files).map(async ([key, file]) => (
+      [key, await this._resolve(file, dependencies, new Set())]
+    )));
+    binding.dependencies = dependencies;
+    if (this._bindings.has(binding)) binding.apply(Object.fromEntries(entries));
+  }
+
+  /**
+   * Inlines chunk includes, wrapping every file in `#line` directives.
+   * `included` guards against pulling a chunk into one shader twice.
+   */
+  async _resolve(key, dependencies, included) {
+    dependencies.add(key);
+    const text = await this._load(key);
+    this._sources.set(key, text);
+    const source = this._sourceNumber(key);
+    const output = [this._line(1, source)];
+
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(INCLUDE);
+      if (!match || match[1] in THREE.ShaderChunk) {
+        output.push(lines[i]);
+        continue;
+      }
+
+      const chunk = `chunks/${match[1]}`;
+      if (!included.has(chunk)) {
+        included.add(chunk);
+        output.push(await this._resolve(chunk, dependencies, included));
+      }
+      // Back to this file at the line after the include
+      output.push(this._line(i + 2, source));
+    }
+    return output.join('\n');
+  }
+
+  _line(line, source) {
+    // ES 3.00 numbers the next line `line`; ES 1.00 numbers it `line + 1`
+    return `#line ${this.options.webgl2 ? line : line - 1} ${source}`;
+  }
+
+  /**
+   * Source-string numbers start at 1; 0 is the prelude three.js adds.
+   */
+  _sourceNumber(key) {
+    if (!this._keys.includes(key)) this._keys.push(key);
+    return this._keys.indexOf(key) + 1;
+  }
+
+  _fileName(source) {
+    const key = this._keys[source - 1];
+    return key ? `${key}.glsl` : 'three.js prelude';
+  }
+
+  /**
+   * `context` lines either side of `line` in a source string's file.
+   */
+  _excerpt(source, line, context = 2) {
+    const text = this._sources.get(this._keys[source - 1]);
+    if (!text || line < 1) return [];
+    const first = Math.max(line - 1 - context, 0);
+    return text.split(/\r?\n/).slice(first, line + context).map((value, i) => ({ line: first + i + 1, text: value }));
+  }
+
+  _load(key) {
+    if (!this._texts.has(key)) {
+      const text = this._fetch(key);
+      // A failed file is retried the next time it is needed
+      text.catch(() => this._texts.delete(key));
+      this._texts.set(key, text);
+    }
+    return this._texts.get(key);
+  }
+
+  async _fetch(key, init) {
+    const response = await fetch(new URL(`${key}.glsl`, this.options.baseUrl), init);
+    if (!response.ok) {
+      throw new Error(`[Shaders] Could not load ${key}.glsl (${response.status}).`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Hot reload: re-fetches every loaded file, then re-applies the programs
+   * that depend on one that changed.
+   */
+  async _poll() {
+    const changed = new Set();
+    for (const [key, current] of [...this._texts]) {
+      try {
+        const text = await this._fetch(key, { cache: 'no-store' });
+        if (text !== await current) {
+          this._texts.set(key, Promise.resolve(text));
+          changed.add(key);
+        }
+      } catch (err) {
+        // Editors briefly remove files while saving; try again next round
+      }
+    }
+
+    if (changed.size > 0) {
+      const updates = [...this._bindings]
+        .filter(({ dependencies }) => [...changed].some((key) => dependencies.has(key)))
+        .map((binding) => this._update(binding).catch((err) => console.error(err)));
+      await Promise.all(updates);
+      this.emit('change', [...changed]);
+    }
+
+    if (!this._disposed) {
+      this._pollTimer = setTimeout(() => this._poll(), this.options.interval);
+    }
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * stats.js
+ * Binds the numbers in a stats section to the 3D bars that chart them.
+ * Values come from each item's `data-target` (with optional `data-live`,
+ * `data-format`, `data-suffix` and `data-decimals`) or from a JSON `src`:
+ *
+ *   [{ "value": 80000, "label": "Particles", "format": "compact", "suffix": "+" },
+ *    { "value": 60, "label": "FPS", "live": "fps" }]
+ *
+ * which replaces the markup's values and adds or removes items to match.
+ * Every stat has a `progress` (0..1) that the section's timeline tweens;
+ * the counter and the bar are both drawn from it, so they move in lockstep.
+ */
+
+const DEFAULTS = {
+  // One stat per matching element, searched within the section
+  selector: '.stat-item',
+  valueSelector: '[data-target]',
+  labelSelector: '.stat-item__label',
+  // Optional JSON file or endpoint overriding the values in the markup
+  src: null,
+  // How values map onto bar heights: 'log' keeps small numbers visible
+  // next to large ones, 'linear' is proportional
+  scale: 'log',
+  minHeight: 0.5,
+  maxHeight: 3.5,
+  // Seconds between readings of live stats
+  liveInterval: 0.5
+};
+
+/**
+ * Live values a stat can show instead of its fixed number, by `data-live`
+ * name. Each is read from the running experience and the binding; null
+ * keeps the number shown until there is a reading.
+ */
+export const LIVE_STATS = {
+  particles: (experience) => experience.quality.tier.particles,
+  // Every animation frame counts, whether the scheduler renders it or not
+  fps: (experience, binding) => binding.frameRate,
+  sections: (experience) => experience.sections.length
+};
+
+/**
+ * Number formatting for a stat, as a function of the value: `format` is
+ * an Intl notation ('standard' or 'compact', e.g. 80K) and `suffix` is
+ * appended as is, e.g. '+'.
+ */
+export function createStatFormatter({ format = 'standard', suffix = '', decimals = 0 } = {}) {
+  const formatter = new Intl.NumberFormat(document.documentElement.lang || undefined, {
+    notation: format,
+    maximumFractionDigits: decimals
+  });
+  return (value) => `${formatter.format(value)}${suffix}`;
+}
+
+export default class StatsBinding {
+  /**
+   * @param {object} experience
+   * @param {HTMLElement} root Section element holding the stat items
+   * @param {object} [options] Overrides for DEFAULTS
+   */
+  constructor(experience, root, options = {}) {
+    this.experience = experience;
+    this.root = root;
+    this.options = { ...DEFAULTS, ...options };
+    this.stats = [];
+    // Animation frames per second, measured over each `liveInterval`
+    this.frameRate = null;
+    this._liveTime = 0;
+    this._frames = 0;
+  }
+
+  /**
+   * Reads the stats from the markup, then from `src` if one is set.
+   */
+  async load() {
+    const { selector, src } = this.options;
+    let entries = [...this.root.querySelectorAll(selector)].map((element) => this._readElement(element));
+
+    if (src) {
+      try {
+        entries = this._mergeData(entries, await this._fetch(src));
+      } catch (err) {
+        console.warn(`[Stats] Could not load "${src}", using the values in the page.`, err);
+      }
+    }
+
+    this.stats = entries.filter((stat) => stat.valueElement);
+    this.stats.forEach((stat) => {
+      stat.formatValue = createStatFormatter(stat);
+      stat.value = this._readLive(stat, stat.value);
+      stat.progress = 1;
+      stat.mesh = null;
+      this._updateLabel(stat);
+    });
+    this._layout();
+    return this.stats;
+  }
+
+  /**
+   * Links a stat to the bar that charts it. Bars are scaled on y from a
+   * unit height, so their geometry should stand on y = 0.
+   */
+  attach(stat, mesh) {
+    stat.mesh = mesh;
+    this._render(stat);
+  }
+
+  /**
+   * Adds one tween per stat to `timeline`, counting up from zero.
+   */
+  animate(timeline, { stagger = 0, duration = 0.5, ease = 'power2.out' } = {}) {
+    this.stats.forEach((stat, i) => {
+      stat.progress = 0;
+      this._render(stat);
+      timeline.to(stat, { progress: 1, duration, ease, onUpdate: () => this._render(stat) }, i * stagger);
+    });
+  }
+
+  /**
+   * Shows every stat at its full value, without animation.
+   */
+  settle() {
+    this.stats.forEach((stat) => {
+      stat.progress = 1;
+      this._render(stat);
+    });
+  }
+
+  /**
+   * Called on every animation frame. Refreshes live stats every
+   * `liveInterval` seconds; returns true when a value changed, i.e. the
+   * bars need redrawing.
+   */
+  update(delta) {
+    this._frames += 1;
+    this._liveTime += delta;
+    if (this._liveTime < this.options.liveInterval) return false;
+    this.frameRate = this._frames / this._liveTime;
+    this._frames = 0;
+    this._liveTime = 0;
+
+    let changed = false;
+    this.stats.forEach((stat) => {
+      if (!stat.live) return;
+      const value = this._readLive(stat, stat.value);
+      if (stat.formatValue(value) === stat.formatValue(stat.value)) return;
+      stat.value = value;
+      this._updateLabel(stat);
+      changed = true;
+    });
+
+    if (changed) this._layout();
+    return changed;
+  }
+
+  _readElement(element) {
+    const valueElement = element.querySelector(this.options.valueSelector);
+    const labelElement = element.querySelector(this.options.labelSelector);
+    if (!valueElement) return { element };
+
+    const { target, live, format, suffix, decimals } = valueElement.dataset;
+    return {
+      element,
+      valueElement,
+      labelElement,
+      value: Number(target) || 0,
+      live: live || null,
+      format: format || 'standard',
+      suffix: suffix || '',
+      decimals: Number(decimals) || 0
+    };
+  }
+
+  async _fetch(src) {
+    const response = await fetch(new URL(src, document.baseURI));
+    if (!response.ok) {
+      throw new Error(`[Stats] ${src} responded with ${response.status}.`);
+    }
+    const data = await response.json();
+    return Array.isArray(data) ? data : data.stats;
+  }
+
+  /**
+   * Applies `data` over the markup's stats by position. Extra entries get
+   * a copy of the first item; items without an entry are removed.
+   */
+  _mergeData(entries, data) {
+    if (!Array.isArray(data) || entries.length === 0) {
+      throw new Error('[Stats] Expected an array of stats and at least one stat item to fill.');
+    }
+    const template = entries[0].element;
+
+    entries.slice(data.length).forEach(({ element }) => element.remove());
+    return data.map((values, i) => {
+      let entry = entries[i];
+      if (!entry) {
+        const element = template.cloneNode(true);
+        entries[i - 1].element.after(element);
+        entry = this._readElement(element);
+        entries[i] = entry;
+      }
+
+      if (values.label !== undefined && entry.labelElement) entry.labelElement.textContent = values.label;
+      if (entry.valueElement) entry.valueElement.dataset.target = values.value;
+      return {
+        ...entry,
+        value: Number(values.value) || 0,
+        live: values.live || null,
+        format: values.format || 'standard',
+        suffix: values.suffix || '',
+        decimals: values.decimals || 0
+      };
+    });
+  }
+
+  _readLive(stat, fallback) {
+    const read = stat.live && LIVE_STATS[stat.live];
+    if (stat.live && !read) {
+      console.warn(`[Stats] Unknown live stat "${stat.live}".`);
+      stat.live = null;
+    }
+    const value = read ? read(this.experience, this) : null;
+    return value !== null && value !== undefined ? value : fallback;
+  }
+
+  /**
+   * Bar heights from the values, relative to the largest one.
+   */
+  _layout() {
+    const { scale, minHeight, maxHeight } = this.options;
+    const map = scale === 'linear' ? (v) => Math.max(v, 0) : (v) => Math.log1p(Math.max(v, 0));
+    const largest = Math.max(...this.stats.map((stat) => map(stat.value)), 0);
+
+    this.stats.forEach((stat) => {
+      const ratio = largest > 0 ? map(stat.value) / largest : 0;
+      stat.height = minHeight + (maxHeight - minHeight) * ratio;
+      this._render(stat);
+    });
+  }
+
+  _render(stat) {
+    // Elastic eases overshoot; the bar may, the number should not
+    const progress = Math.min(Math.max(stat.progress, 0), 1);
+    stat.valueElement.textContent = stat.formatValue(stat.value * progress);
+    if (stat.mesh) stat.mesh.scale.y = Math.max(stat.height * stat.progress, 0.001);
+  }
+
+  /**
+   * Screen readers get the final value, not the counter's frames.
+   */
+  _updateLabel(stat) {
+    const label = stat.labelElement ? ` ${stat.labelElement.textContent.trim()}` : '';
+    stat.valueElement.setAttribute('aria-label', `${stat.formatValue(stat.value)}${label}`);
+  }
+}
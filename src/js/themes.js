@@ -0,0 +1,185 @@
+/**
+ * themes.js
+ * Colour themes shared by the WebGL scene and the page. A theme is
+ * `{ scheme: 'dark' | 'light', colors, extends }`; the Experience feeds its
+ * colours to materials and shader uniforms, and applyThemeCSS() mirrors
+ * them into CSS custom properties so the glass UI always matches.
+ *
+ * Manifests reference theme colours as '@path' strings, e.g.
+ * `params: { color: '@features.0' }`; '@title' names the whole group.
+ * registerTheme() adds a custom theme or replaces a built-in one.
+ */
+
+export const DEFAULT_THEME = 'nebula';
+
+/**
+ * Built-in themes. `colors` may nest objects and arrays; every leaf is a
+ * hex colour addressed by its path ('torus.base', 'features.0'). Custom
+ * themes only need the colours they change: the rest is taken from the
+ * theme they `extends` (DEFAULT_THEME unless given).
+ */
+export const THEMES = {
+  nebula: {
+    scheme: 'dark',
+    colors: {
+      // Page and glass UI; `heading` also tints the glass surfaces
+      background: '#0a0a0f',
+      text: '#e0e0e8',
+      heading: '#ffffff',
+      primary: '#6633cc',
+      secondary: '#00d4ff',
+      accent: '#ff6b6b',
+      // Hero title gradient, in CSS and in the particles that spell it
+      title: ['#6633cc', '#00d4ff', '#ff6b6b'],
+      galaxy: { inside: '#ff3399', outside: '#3366ff' },
+      torus: { base: '#59007c', highlight: '#00ebff' },
+      wave: { low: '#003f95', mid: '#00e7ff', high: '#ff00e7' },
+      features: ['#ff6b6b', '#4ecdc4', '#45b7d1'],
+      bars: ['#ff6b6b', '#4ecdc4', '#ffd93d', '#6c5ce7'],
+      contact: { points: '#ffffff', wireframe: '#6c5ce7' }
+    }
+  },
+
+  aurora: {
+    scheme: 'dark',
+    colors: {
+      background: '#050d0d',
+      text: '#dcefe9',
+      heading: '#ffffff',
+      primary: '#1fa37a',
+      secondary: '#7cf5c8',
+      accent: '#b38cff',
+      title: ['#1fa37a', '#7cf5c8', '#b38cff'],
+      galaxy: { inside: '#5dffb0', outside: '#3a5bff' },
+      torus: { base: '#003d3a', highlight: '#6dffc9' },
+      wave: { low: '#002a40', mid: '#2de3b0', high: '#c58cff' },
+      features: ['#7cf5c8', '#4fb3ff', '#b38cff'],
+      bars: ['#1fa37a', '#4fb3ff', '#7cf5c8', '#b38cff'],
+      contact: { points: '#dcefe9', wireframe: '#1fa37a' }
+    }
+  },
+
+  ember: {
+    scheme: 'dark',
+    colors: {
+      background: '#0f0807',
+      text: '#f0e2dc',
+      heading: '#ffffff',
+      primary: '#d9480f',
+      secondary: '#ffb347',
+      accent: '#ff5e7e',
+      title: ['#d9480f', '#ffb347', '#ff5e7e'],
+      galaxy: { inside: '#ffcc66', outside: '#ff3355' },
+      torus: { base: '#4a0a00', highlight: '#ffb347' },
+      wave: { low: '#3d0a05', mid: '#ff7a2e', high: '#ffe08a' },
+      features: ['#ff5e7e', '#ffb347', '#ff8a3d'],
+      bars: ['#d9480f', '#ff8a3d', '#ffb347', '#ff5e7e'],
+      contact: { points: '#fff1e0', wireframe: '#d9480f' }
+    }
+  },
+
+  daylight: {
+    scheme: 'light',
+    colors: {
+      background: '#f4f4f8',
+      text: '#2a2a38',
+      heading: '#14141f',
+      primary: '#5a2bd1',
+      secondary: '#0088b8',
+      accent: '#e0474c',
+      title: ['#5a2bd1', '#0088b8', '#e0474c'],
+      galaxy: { inside: '#d6246e', outside: '#2f4fd6' },
+      torus: { base: '#2a0a5c', highlight: '#2bb6e8' },
+      wave: { low: '#1c3d8f', mid: '#19a7d1', high: '#d13fb0' },
+      features: ['#e0474c', '#2a9d8f', '#2f7fc1'],
+      bars: ['#e0474c', '#2a9d8f', '#e6a700', '#5a2bd1'],
+      contact: { points: '#2a2a38', wireframe: '#5a2bd1' }
+    }
+  }
+};
+
+/**
+ * Flattens nested theme colours into `{ 'torus.base': '#59007c', ... }`.
+ */
+function flatten(colors, prefix = '', target = {}) {
+  Object.entries(colors).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') flatten(value, path, target);
+    else target[path] = value;
+  });
+  return target;
+}
+
+/** 'torus.base' → '--theme-torus-base', 'galaxyInside' → '--theme-galaxy-inside' */
+function toProperty(path) {
+  return `--theme-${path.replace(/\./g, '-').replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Adds a custom theme under `name`, or replaces the built-in one of that name.
+ */
+export function registerTheme(name, theme) {
+  THEMES[name] = theme;
+}
+
+/**
+ * Resolves a theme name (or theme object) into `{ scheme, colors }`, with
+ * `colors` flattened and every inherited colour filled in.
+ */
+export function resolveTheme(theme, seen = new Set()) {
+  const definition = typeof theme === 'string' ? THEMES[theme] : theme;
+  if (!definition || !definition.colors) {
+    throw new Error(`[Themes] Unknown theme "${theme}". Available: ${Object.keys(THEMES).join(', ')}.`);
+  }
+  seen.add(definition);
+
+  const parent = definition.extends || (definition === THEMES[DEFAULT_THEME] ? null : DEFAULT_THEME);
+  const base = parent && !seen.has(THEMES[parent]) ? resolveTheme(parent, seen) : { scheme: 'dark', colors: {} };
+  return {
+    scheme: definition.scheme || base.scheme,
+    colors: { ...base.colors, ...flatten(definition.colors) }
+  };
+}
+
+export function isThemeReference(value) {
+  return typeof value === 'string' && value.startsWith('@');
+}
+
+/**
+ * The colour paths a '@path' reference (or an array of them) stands for,
+ * in order; group references expand to every colour in the group. Returns
+ * null when `value` is not a theme reference.
+ */
+export function getThemeKeys(colors, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || !values.every(isThemeReference)) return null;
+
+  return values.flatMap((reference) => {
+    const path = reference.slice(1);
+    if (path in colors) return [path];
+    const group = Object.keys(colors).filter((key) => key.startsWith(`${path}.`));
+    if (group.length === 0) {
+      throw new Error(`[Themes] Unknown theme colour "${reference}".`);
+    }
+    return group;
+  });
+}
+
+/**
+ * Writes `--theme-<path>` (hex) and `--theme-<path>-rgb` ('r, g, b', for
+ * use in rgba()) for every colour, plus `color-scheme` and
+ * `data-theme-scheme` on the root. Colours may be hex strings or
+ * THREE.Colors.
+ */
+export function applyThemeCSS(colors, scheme, root = document.documentElement) {
+  Object.entries(colors).forEach(([path, color]) => {
+    const hex = typeof color === 'string' ? color : `#${color.getHexString()}`;
+    const value = parseInt(hex.slice(1), 16);
+    root.style.setProperty(toProperty(path), hex);
+    root.style.setProperty(`${toProperty(path)}-rgb`, `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`);
+  });
+  if (scheme) {
+    root.style.colorScheme = scheme;
+    root.dataset.themeScheme = scheme;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * tweaks.js
+ * Reads and writes the values designers tune by eye as a plain JSON preset:
+ *
+ *   {
+ *     particleUniforms: { uSize: 2.4 },
+ *     torusUniforms: {}, waveUniforms: {},
+ *     keyframes: { 'wave.uAmplitude': [0, 0.8, 0] },
+ *     bloom: { enabled, strength, radius, threshold },
+ *     vignette: { enabled, offset, darkness },   (one per postfx.js pass)
+ *     renderer: { toneMappingExposure },
+ *     lights: { ambient: { color: '#ffffff', intensity: 0.4 }, warm, cool, mouse },
+ *     galaxy: { arms, spin, radius, ... }   (galaxy.js params)
+ *   }
+ *
+ * Colours are hex strings and vectors are arrays. Uniforms the engine
+ * writes itself are left out; those scrubbed by a manifest `uniform`
+ * animation are tuned through their `keyframes` instead. Colours that
+ * follow the theme are left to setTheme() (see themes.js). A preset can be
+ * given to the engine as `manifest.tweaks`.
+ */
+
+// Uniform groups on the Experience that are exposed as tweaks
+export const UNIFORM_GROUPS = ['particleUniforms', 'torusUniforms', 'waveUniforms'];
+
+// Uniforms overwritten every frame by the render loop
+const FRAME_UNIFORMS = ['uTime', 'uScrollProgress', 'uMouse', 'uMorph'];
+
+// Galaxy params owned by the theme
+const THEMED_GALAXY_PARAMS = ['insideColor', 'outsideColor'];
+
+// Preset key → Experience property
+const LIGHTS = {
+  ambient: 'ambientLight',
+  warm: 'warmLight',
+  cool: 'coolLight',
+  mouse: 'mouseLight'
+};
+
+function toJSON(value) {
+  if (value && value.isColor) return `#${value.getHexString()}`;
+  if (value && (value.isVector2 || value.isVector3 || value.isVector4)) return value.toArray();
+  return value;
+}
+
+function isTweakable(value) {
+  return typeof value === 'number'
+    || typeof value === 'boolean'
+    || (typeof value === 'string' && value.startsWith('#'))
+    || (Array.isArray(value) && value.every((v) => typeof v === 'number'));
+}
+
+function assign(current, value) {
+  if (current && current.isColor) return current.set(value);
+  if (current && typeof current.fromArray === 'function') return current.fromArray(value);
+  return value;
+}
+
+/**
+ * Every manifest `uniform` animation as { key: 'shader.uniform', group,
+ * name, params }, where `group` is the Experience uniform group it drives.
+ */
+function getScrubbedUniforms(experience) {
+  const scrubbed = [];
+  (experience.sections || []).forEach((section) => {
+    (section.config.animations || []).forEach((params) => {
+      if (params.type !== 'uniform') return;
+      const shader = experience.shaderLibrary[params.shader];
+      const group = UNIFORM_GROUPS.find((name) => shader && experience[name] === shader.uniforms);
+      scrubbed.push({ key: `${params.shader}.${params.uniform}`, group, name: params.uniform, params });
+    });
+  });
+  return scrubbed;
+}
+
+/**
+ * Uniforms the engine animates itself, as a set of 'group.name' keys. These
+ * are shown read-only by the debug panel.
+ */
+export function getDrivenUniforms(experience) {
+  const driven = new Set();
+  UNIFORM_GROUPS.forEach((group) => {
+    FRAME_UNIFORMS.forEach((name) => driven.add(`${group}.${name}`));
+  });
+  getScrubbedUniforms(experience).forEach(({ group, name }) => driven.add(`${group}.${name}`));
+  return driven;
+}
+
+/**
+ * Snapshot of every tweakable value in preset form.
+ */
+export function getTweaks(experience) {
+  const tweaks = {};
+  const driven = getDrivenUniforms(experience);
+
+  UNIFORM_GROUPS.forEach((group) => {
+    const uniforms = experience[group];
+    if (!uniforms) return;
+    tweaks[group] = {};
+    Object.entries(uniforms).forEach(([name, uniform]) => {
+      const value = toJSON(uniform.value);
+      if (driven.has(`${group}.${name}`) || experience.isThemeColor(uniform.value)) return;
+      if (isTweakable(value)) tweaks[group][name] = value;
+    });
+  });
+
+  tweaks.keyframes = {};
+  getScrubbedUniforms(experience).forEach(({ key, params }) => {
+    if (!tweaks.keyframes[key]) tweaks.keyframes[key] = params.keyframes.slice();
+  });
+
+  if (experience.postfx) {
+    experience.postfx.entries.forEach(({ name, enabled, params }) => {
+      tweaks[name] = { enabled };
+      Object.entries(params).forEach(([key, value]) => {
+        if (isTweakable(value)) tweaks[name][key] = value;
+      });
+    });
+  }
+
+  tweaks.renderer = { toneMappingExposure: experience.renderer.toneMappingExposure };
+
+  tweaks.lights = {};
+  Object.entries(LIGHTS).forEach(([key, property]) => {
+    const light = experience[property];
+    if (light) tweaks.lights[key] = { color: toJSON(light.color), intensity: light.intensity };
+  });
+
+  if (experience.galaxyParams) {
+    tweaks.galaxy = {};
+    Object.entries(experience.galaxyParams).forEach(([key, value]) => {
+      if (!THEMED_GALAXY_PARAMS.includes(key) && isTweakable(value)) tweaks.galaxy[key] = value;
+    });
+  }
+
+  return tweaks;
+}
+
+/**
+ * Writes a (partial) preset into the running experience. Unknown keys are
+ * reported and skipped.
+ */
+export function applyTweaks(experience, preset = {}) {
+  UNIFORM_GROUPS.forEach((group) => {
+    Object.entries(preset[group] || {}).forEach(([name, value]) => {
+      const uniform = experience[group] && experience[group][name];
+      if (!uniform) {
+        console.warn(`[Tweaks] Unknown uniform "${group}.${name}".`);
+        return;
+      }
+      uniform.value = assign(uniform.value, value);
+    });
+  });
+
+  // Edited in place; the scroll animations read the same arrays
+  const scrubbed = getScrubbedUniforms(experience);
+  Object.entries(preset.keyframes || {}).forEach(([key, keyframes]) => {
+    scrubbed.forEach((entry) => {
+      if (entry.key === key) entry.params.keyframes.splice(0, Infinity, ...keyframes);
+    });
+  });
+
+  const { postfx } = experience;
+  if (postfx) {
+    postfx.entries.forEach(({ name }) => {
+      if (!preset[name]) return;
+      const { enabled, ...params } = preset[name];
+      if (enabled !== undefined) postfx.setEnabled(name, enabled);
+      postfx.set(name, params);
+    });
+  }
+
+  if (preset.renderer && preset.renderer.toneMappingExposure !== undefined) {
+    experience.renderer.toneMappingExposure = preset.renderer.toneMappingExposure;
+  }
+
+  Object.entries(preset.lights || {}).forEach(([key, settings]) => {
+    const light = experience[LIGHTS[key]];
+    if (!light) {
+      console.warn(`[Tweaks] Unknown light "${key}".`);
+      return;
+    }
+    if (settings.color !== undefined) light.color.set(settings.color);
+    if (settings.intensity !== undefined) light.intensity = settings.intensity;
+  });
+
+  // Rebuilds the particle buffers, so only when a galaxy param actually changes
+  const current = experience.galaxyParams || {};
+  const galaxy = preset.galaxy || {};
+  const changed = Object.keys(galaxy)
+    .some((key) => JSON.stringify(toJSON(galaxy[key])) !== JSON.stringify(toJSON(current[key])));
+  if (changed) experience.regenerateGalaxy(galaxy);
+}
+
+/**
+ * The parts of `current` that differ from `base`, keeping the preset shape.
+ * Empty groups are dropped.
+ */
+export function diffTweaks(current, base = {}) {
+  const diff = {};
+  Object.entries(current).forEach(([key, value]) => {
+    const previous = base[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = diffTweaks(value, previous || {});
+      if (Object.keys(nested).length > 0) diff[key] = nested;
+    } else if (JSON.stringify(value) !== JSON.stringify(previous)) {
+      diff[key] = Array.isArray(value) ? value.slice() : value;
+    }
+  });
+  return diff;
+}
@@ -0,0 +1,24 @@
+// Divergence-free flow field from finite differences of simplex noise.
+// Exposes curlNoise(vec3).
+
+#include <noise>
+
+vec3 curlNoise(vec3 p) {
+  float eps = 0.01;
+  float n1, n2;
+  vec3 curl;
+
+  n1 = snoise3(p + vec3(0.0, eps, 0.0));
+  n2 = snoise3(p - vec3(0.0, eps, 0.0));
+  curl.x = (n1 - n2) / (2.0 * eps);
+
+  n1 = snoise3(p + vec3(0.0, 0.0, eps));
+  n2 = snoise3(p - vec3(0.0, 0.0, eps));
+  curl.y = (n1 - n2) / (2.0 * eps);
+
+  n1 = snoise3(p + vec3(eps, 0.0, 0.0));
+  n2 = snoise3(p - vec3(eps, 0.0, 0.0));
+  curl.z = (n1 - n2) / (2.0 * eps);
+
+  return curl;
+}
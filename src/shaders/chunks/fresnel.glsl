@@ -0,0 +1,6 @@
+// Rim factor: 0 facing the viewer, 1 at grazing angles. Both vectors must be
+// normalised; `power` sharpens the rim.
+
+float fresnel(vec3 normal, vec3 viewDir, float power) {
+  return clamp(pow(1.0 - abs(dot(normal, viewDir)), power), 0.0, 1.0);
+}
@@ -0,0 +1,12 @@
+// Colour ramps.
+
+// Inigo Quilez's cosine palette: a + b * cos(2π(c * t + d))
+vec3 cosinePalette(float t, vec3 a, vec3 b, vec3 c, vec3 d) {
+  return a + b * cos(6.28318530718 * (c * t + d));
+}
+
+// Three-stop gradient: `low` at 0, `mid` at 0.5, `high` at 1
+vec3 gradient3(vec3 low, vec3 mid, vec3 high, float t) {
+  t = clamp(t, 0.0, 1.0);
+  return t < 0.5 ? mix(low, mid, t * 2.0) : mix(mid, high, t * 2.0 - 1.0);
+}
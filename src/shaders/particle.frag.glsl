@@ -0,0 +1,16 @@
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  vec2 uv = gl_PointCoord - vec2(0.5);
+  float dist = length(uv);
+
+  if (dist > 0.5) discard;
+
+  float glow = exp(-dist * dist * 8.0);
+  float alpha = glow * vAlpha;
+
+  alpha *= smoothstep(0.5, 0.3, dist);
+
+  gl_FragColor = vec4(vColor, alpha);
+}
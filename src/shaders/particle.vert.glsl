@@ -0,0 +1,56 @@
+attribute float aScale;
+attribute vec3 aRandomness;
+attribute float aPhase;
+attribute vec3 aColor;
+// Formations of the two sections either side of the scroll position
+attribute vec3 aMorphFrom;
+attribute vec3 aMorphTo;
+attribute vec3 aColorFrom;
+attribute vec3 aColorTo;
+
+uniform float uTime;
+uniform float uScrollProgress;
+uniform vec2 uMouse;
+uniform float uSize;
+uniform float uMorph;
+
+#ifdef USE_SIMULATION
+  // Positions integrated by ParticleSimulation
+  uniform sampler2D tPosition;
+  attribute vec2 aReference;
+#endif
+
+varying vec3 vColor;
+varying float vAlpha;
+
+#include <curl>
+
+void main() {
+  vColor = mix(aColorFrom, aColorTo, uMorph);
+
+#ifdef USE_SIMULATION
+  vec4 mvPosition = modelViewMatrix * vec4(texture2D(tPosition, aReference).xyz, 1.0);
+#else
+  // Stateless fallback: offset the blended formation by curl noise and
+  // push away from the mouse in view space
+  vec3 pos = mix(aMorphFrom, aMorphTo, uMorph);
+  float t = uTime * 0.3 + aPhase;
+
+  vec3 curl = curlNoise(pos * 0.3 + vec3(t * 0.1));
+  pos += curl * 0.5;
+
+  vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+  vec2 screenPos = mvPosition.xy / mvPosition.w;
+
+  vec2 mouseDir = screenPos - uMouse;
+  float mouseDist = length(mouseDir);
+  float repulsion = smoothstep(0.5, 0.0, mouseDist);
+  vec3 repulsionVec = vec3(normalize(mouseDir) * repulsion * 1.5, 0.0);
+  mvPosition.xyz += repulsionVec;
+#endif
+
+  vAlpha = 0.6 + 0.4 * sin(uTime + aPhase);
+
+  gl_PointSize = uSize * aScale * (300.0 / -mvPosition.z);
+  gl_Position = projectionMatrix * mvPosition;
+}
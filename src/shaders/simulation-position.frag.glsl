@@ -0,0 +1,11 @@
+// GPGPU integration step (ParticleSimulation). texturePosition,
+// textureVelocity and `resolution` are declared by GPUComputationRenderer.
+
+uniform float uDelta;
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / resolution.xy;
+  vec3 position = texture2D(texturePosition, uv).xyz;
+  vec3 velocity = texture2D(textureVelocity, uv).xyz;
+  gl_FragColor = vec4(position + velocity * uDelta, 1.0);
+}
@@ -0,0 +1,43 @@
+// GPGPU forces (ParticleSimulation): curl-noise drift, a spring toward the
+// morph target and cursor repulsion.
+
+uniform sampler2D tOrigin;
+uniform sampler2D tMorphFrom;
+uniform sampler2D tMorphTo;
+uniform float uMorph;
+uniform float uTime;
+uniform float uDelta;
+uniform float uCurlStrength;
+uniform float uCurlSpeed;
+uniform float uSpring;
+uniform float uDamping;
+uniform vec3 uPointer;
+uniform float uPointerActive;
+uniform float uRepulsionRadius;
+uniform float uRepulsionForce;
+
+#include <curl>
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / resolution.xy;
+  vec3 position = texture2D(texturePosition, uv).xyz;
+  vec3 velocity = texture2D(textureVelocity, uv).xyz;
+  vec4 origin = texture2D(tOrigin, uv);
+
+  // Fluid drift
+  vec3 force = curlNoise(position * 0.3 + vec3(uTime * uCurlSpeed + origin.w * 0.1)) * uCurlStrength;
+
+  // Keep the overall formation by easing toward the blended target
+  vec3 target = mix(texture2D(tMorphFrom, uv).xyz, texture2D(tMorphTo, uv).xyz, uMorph);
+  force += (target - position) * uSpring;
+
+  // Cursor repulsion, strongest at the centre of the field
+  vec3 away = position - uPointer;
+  float falloff = (1.0 - smoothstep(0.0, uRepulsionRadius, length(away))) * uPointerActive;
+  force += normalize(away + vec3(1e-5)) * falloff * uRepulsionForce;
+
+  velocity += force * uDelta;
+  velocity *= exp(-uDamping * uDelta);
+
+  gl_FragColor = vec4(velocity, 1.0);
+}
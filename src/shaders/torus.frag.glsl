@@ -0,0 +1,21 @@
+varying vec3 vPosition;
+varying vec3 vNormal;
+varying float vDisplacement;
+varying vec3 vColor;
+
+#include <fresnel>
+
+void main() {
+  vec3 viewDir = normalize(cameraPosition - vPosition);
+  vec3 norm = normalize(vNormal);
+
+  float rim = fresnel(norm, viewDir, 3.0);
+
+  float shimmer = sin(vDisplacement * 10.0) * 0.5 + 0.5;
+
+  vec3 color = vColor;
+  color += vec3(shimmer) * 0.15;
+  color = mix(color, vec3(1.0), rim * 0.6);
+
+  gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,27 @@
+uniform float uTime;
+uniform float uScrollProgress;
+uniform vec3 uBaseColor;
+uniform vec3 uHighlightColor;
+
+varying vec3 vPosition;
+varying vec3 vNormal;
+varying float vDisplacement;
+varying vec3 vColor;
+
+#include <noise>
+
+void main() {
+  vPosition = position;
+  vNormal = normal;
+
+  float displacement = snoise3(position * 2.0 + uTime * 0.5) * 0.3;
+  vDisplacement = displacement;
+
+  vec3 displacedPosition = position + normal * displacement;
+
+  float t = (displacedPosition.y + 1.5) / 3.0;
+  t = clamp(t, 0.0, 1.0);
+  vColor = mix(uBaseColor, uHighlightColor, t);
+
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(displacedPosition, 1.0);
+}
@@ -0,0 +1,29 @@
+uniform float uTime;
+uniform vec3 uLowColor;
+uniform vec3 uMidColor;
+uniform vec3 uHighColor;
+
+varying float vHeight;
+varying vec3 vNormal;
+varying vec3 vPosition;
+
+#include <fresnel>
+
+void main() {
+  vec3 viewDir = normalize(cameraPosition - vPosition);
+  vec3 norm = normalize(vNormal);
+
+  float rim = fresnel(norm, viewDir, 2.5);
+
+  float t = clamp((vHeight + 1.0) * 0.5, 0.0, 1.0);
+
+  vec3 color = mix(uLowColor, uMidColor, t);
+  color = mix(color, uHighColor, t * t);
+
+  float iridescence = sin(dot(norm, viewDir) * 8.0 + uTime * 2.0) * 0.5 + 0.5;
+  color += vec3(iridescence * 0.1, iridescence * 0.05, iridescence * 0.2);
+
+  color = mix(color, vec3(0.8, 0.9, 1.0), rim * 0.5);
+
+  gl_FragColor = vec4(color, 0.85);
+}
@@ -0,0 +1,17 @@
+uniform float uTime;
+uniform float uAmplitude;
+uniform float uScrollProgress;
+
+varying float vHeight;
+varying vec3 vNormal;
+varying vec3 vPosition;
+
+void main() {
+  vec3 pos = position;
+  float wave = sin(pos.x * 3.0 + uTime) * cos(pos.z * 2.0 + uTime * 0.7) * uAmplitude;
+  pos.y += wave;
+  vHeight = wave;
+  vPosition = pos;
+  vNormal = normal;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+}
@@ -0,0 +1,10 @@
+// The browser modules import three from unpkg; under node the same
+// version comes from node_modules instead (see package.json)
+const CDN_MODULES = {
+  'https://unpkg.com/three@0.157.0/build/three.module.js': 'three'
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (CDN_MODULES[specifier]) return nextResolve(CDN_MODULES[specifier], context);
+  return nextResolve(specifier, context);
+}
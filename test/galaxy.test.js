@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGalaxy, colorGalaxy, GALAXY_DEFAULTS } from '../src/js/galaxy.js';
+import { createRandom } from '../src/js/random.js';
+
+const COUNT = 500;
+
+test('a fixed seed gives identical buffers', () => {
+  const a = createGalaxy(COUNT, { seed: 7 });
+  const b = createGalaxy(COUNT, { seed: 7 });
+  Object.keys(a).forEach((key) => assert.deepEqual(a[key], b[key], key));
+});
+
+test('different seeds give different layouts', () => {
+  assert.notDeepEqual(createGalaxy(COUNT, { seed: 1 }).positions, createGalaxy(COUNT, { seed: 2 }).positions);
+});
+
+test('a seed overrides the generator given', () => {
+  const a = createGalaxy(COUNT, { seed: 7 }, createRandom(1));
+  const b = createGalaxy(COUNT, { seed: 7 }, createRandom(2));
+  assert.deepEqual(a.positions, b.positions);
+});
+
+test('without a seed, one is drawn from the generator given', () => {
+  const a = createGalaxy(COUNT, {}, createRandom('page'));
+  const b = createGalaxy(COUNT, {}, createRandom('page'));
+  assert.deepEqual(a.positions, b.positions);
+});
+
+test('buffers are sized for the particle attributes', () => {
+  const { positions, colors, scales, randomness, phases, gradient } = createGalaxy(COUNT, { seed: 3 });
+  assert.equal(positions.length, COUNT * 3);
+  assert.equal(colors.length, COUNT * 3);
+  assert.equal(randomness.length, COUNT * 3);
+  assert.equal(scales.length, COUNT);
+  assert.equal(phases.length, COUNT);
+  assert.equal(gradient.length, COUNT);
+});
+
+test('attributes stay within their ranges', () => {
+  const { scaleMin, scaleMax } = GALAXY_DEFAULTS;
+  const { scales, randomness, phases, gradient } = createGalaxy(COUNT, { seed: 3 });
+  scales.forEach((scale) => assert.ok(scale >= scaleMin && scale <= scaleMax));
+  randomness.forEach((value) => assert.ok(value >= -1 && value <= 1));
+  phases.forEach((phase) => assert.ok(phase >= 0 && phase < Math.PI * 2 + 1e-6));
+  gradient.forEach((t) => assert.ok(t >= 0 && t <= 1));
+});
+
+test('colours run from the inside to the outside colour', () => {
+  const colors = colorGalaxy(new Float32Array([0, 1]), '#ff0000', '#0000ff');
+  assert.deepEqual([...colors], [1, 0, 0, 0, 0, 1]);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCube } from '../src/js/lut.js';
+
+const IDENTITY_3D = `
+# Created by hand
+TITLE "Identity"
+LUT_3D_SIZE 2
+0 0 0
+1 0 0
+0 1 0
+1 1 0
+0 0 1
+1 0 1
+0 1 1
+1 1 1
+`;
+
+test('parses a 3D table', () => {
+  const lut = parseCube(IDENTITY_3D);
+  assert.equal(lut.title, 'Identity');
+  assert.equal(lut.type, '3D');
+  assert.equal(lut.size, 2);
+  assert.deepEqual(lut.domainMin, [0, 0, 0]);
+  assert.deepEqual(lut.domainMax, [1, 1, 1]);
+  assert.ok(lut.data instanceof Float32Array);
+  assert.deepEqual([...lut.data.slice(0, 6)], [0, 0, 0, 1, 0, 0]);
+  assert.equal(lut.data.length, 2 ** 3 * 3);
+});
+
+test('parses a 1D table with a domain and CRLF line endings', () => {
+  const lut = parseCube('LUT_1D_SIZE 3\r\nDOMAIN_MIN 0 0 0\r\nDOMAIN_MAX 2 2 2\r\n0 0 0\r\n0.5 0.5 0.5\r\n1 1 1\r\n');
+  assert.equal(lut.type, '1D');
+  assert.equal(lut.size, 3);
+  assert.deepEqual(lut.domainMax, [2, 2, 2]);
+  assert.deepEqual([...lut.data], [0, 0, 0, 0.5, 0.5, 0.5, 1, 1, 1]);
+});
+
+test('reads the Resolve input range shorthand', () => {
+  const lut = parseCube('LUT_1D_SIZE 2\nLUT_1D_INPUT_RANGE -0.5 1.5\n0 0 0\n1 1 1\n');
+  assert.deepEqual(lut.domainMin, [-0.5, -0.5, -0.5]);
+  assert.deepEqual(lut.domainMax, [1.5, 1.5, 1.5]);
+});
+
+test('rejects a table without a size', () => {
+  assert.throws(() => parseCube('0 0 0\n1 1 1\n'), /LUT_1D_SIZE \/ LUT_3D_SIZE/);
+});
+
+test('rejects a table with the wrong number of entries', () => {
+  assert.throws(() => parseCube('LUT_3D_SIZE 2\n0 0 0\n1 1 1\n'), /Expected 8 RGB entries/);
+});
+
+test('rejects entries that are not numbers', () => {
+  assert.throws(() => parseCube('LUT_1D_SIZE 2\n0 0 0\n1 x 1\n'), /Expected 2 RGB entries/);
+});
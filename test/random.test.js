@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, forkRandom } from '../src/js/random.js';
+
+const draw = (random, n = 5) => Array.from({ length: n }, () => random());
+
+test('identical seeds give identical sequences', () => {
+  assert.deepEqual(draw(createRandom(42)), draw(createRandom(42)));
+  assert.deepEqual(draw(createRandom('launch')), draw(createRandom('launch')));
+});
+
+test('different seeds give different sequences', () => {
+  assert.notDeepEqual(draw(createRandom(1)), draw(createRandom(2)));
+  assert.notDeepEqual(draw(createRandom('a')), draw(createRandom('b')));
+});
+
+test('numeric strings seed the same as the number', () => {
+  assert.deepEqual(draw(createRandom('42')), draw(createRandom(42)));
+  assert.deepEqual(draw(createRandom(' 7 ')), draw(createRandom(7)));
+});
+
+test('values are in [0, 1)', () => {
+  draw(createRandom('range'), 1000).forEach((value) => {
+    assert.ok(value >= 0 && value < 1);
+  });
+});
+
+test('no seed gives Math.random', () => {
+  assert.equal(createRandom(null), Math.random);
+  assert.equal(createRandom(undefined), Math.random);
+});
+
+test('forks are deterministic and independent of the parent', () => {
+  const a = createRandom(5);
+  const b = createRandom(5);
+  assert.deepEqual(draw(forkRandom(a)), draw(forkRandom(b)));
+  assert.deepEqual(draw(a), draw(b));
+});
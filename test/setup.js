@@ -0,0 +1,5 @@
+// Loaded with --import before the tests: lets node resolve the CDN URLs
+// the browser modules import (see cdn-hooks.js)
+import { register } from 'node:module';
+
+register('./cdn-hooks.js', import.meta.url);
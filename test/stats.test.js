@@ -0,0 +1,125 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import StatsBinding, { createStatFormatter } from '../src/js/stats.js';
+
+// Just enough of the DOM for StatsBinding's markup handling: stat items
+// holding a value and a label, siblings in one parent
+class FakeElement {
+  constructor(className, { dataset = {}, textContent = '', children = [] } = {}) {
+    this.className = className;
+    this.dataset = { ...dataset };
+    this.textContent = textContent;
+    this.children = children;
+    this.parent = null;
+    children.forEach((child) => { child.parent = this; });
+  }
+
+  matches(selector) {
+    if (selector.startsWith('.')) return this.className === selector.slice(1);
+    const data = selector.match(/^\[data-(\w+)\]$/);
+    return Boolean(data && data[1] in this.dataset);
+  }
+
+  querySelector(selector) {
+    for (const child of this.children) {
+      if (child.matches(selector)) return child;
+      const found = child.querySelector(selector);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  cloneNode() {
+    return new FakeElement(this.className, {
+      dataset: this.dataset,
+      textContent: this.textContent,
+      children: this.children.map((child) => child.cloneNode())
+    });
+  }
+
+  after(element) {
+    const siblings = this.parent.children;
+    siblings.splice(siblings.indexOf(this) + 1, 0, element);
+    element.parent = this.parent;
+  }
+
+  remove() {
+    const siblings = this.parent.children;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parent = null;
+  }
+}
+
+function createItem(value, label) {
+  return new FakeElement('stat-item', {
+    children: [
+      new FakeElement('stat-item__value', { dataset: { target: String(value) } }),
+      new FakeElement('stat-item__label', { textContent: label })
+    ]
+  });
+}
+
+function createBinding(items) {
+  const root = new FakeElement('stats', { children: items });
+  const binding = new StatsBinding(null, root);
+  const entries = root.children.map((element) => binding._readElement(element));
+  return { root, binding, entries };
+}
+
+const labels = (root) => root.children.map((item) => item.querySelector('.stat-item__label').textContent);
+
+before(() => {
+  globalThis.document = { documentElement: { lang: 'en-US' } };
+});
+
+test('formats with the notation, decimals and suffix', () => {
+  assert.equal(createStatFormatter()(1234), '1,234');
+  assert.equal(createStatFormatter({ format: 'compact', suffix: '+' })(80000), '80K+');
+  assert.equal(createStatFormatter({ decimals: 1 })(59.94), '59.9');
+  assert.equal(createStatFormatter()(59.94), '60');
+});
+
+test('merges data over the markup by position', () => {
+  const { root, binding, entries } = createBinding([createItem(1, 'One'), createItem(2, 'Two')]);
+  const stats = binding._mergeData(entries, [
+    { value: 10, label: 'Ten', format: 'compact', suffix: '+' },
+    { value: '20', live: 'fps', decimals: 1 }
+  ]);
+
+  assert.deepEqual(labels(root), ['Ten', 'Two']);
+  assert.deepEqual(stats.map(({ value }) => value), [10, 20]);
+  assert.equal(stats[0].format, 'compact');
+  assert.equal(stats[0].suffix, '+');
+  assert.equal(stats[1].live, 'fps');
+  assert.equal(stats[1].decimals, 1);
+  assert.equal(stats[1].valueElement.dataset.target, '20');
+});
+
+test('copies the first item for extra entries', () => {
+  const { root, binding, entries } = createBinding([createItem(1, 'One')]);
+  const stats = binding._mergeData(entries, [
+    { value: 1, label: 'One' },
+    { value: 2, label: 'Two' },
+    { value: 3, label: 'Three' }
+  ]);
+
+  assert.deepEqual(labels(root), ['One', 'Two', 'Three']);
+  assert.equal(stats.length, 3);
+  assert.equal(stats[2].element, root.children[2]);
+  assert.equal(stats[2].valueElement.dataset.target, 3);
+});
+
+test('removes items without an entry', () => {
+  const { root, binding, entries } = createBinding([createItem(1, 'One'), createItem(2, 'Two'), createItem(3, 'Three')]);
+  const stats = binding._mergeData(entries, [{ value: 5 }]);
+
+  assert.deepEqual(labels(root), ['One']);
+  assert.equal(stats.length, 1);
+  assert.equal(stats[0].value, 5);
+});
+
+test('rejects data that is not an array, or markup without items', () => {
+  const { binding, entries } = createBinding([createItem(1, 'One')]);
+  assert.throws(() => binding._mergeData(entries, { stats: [] }), /Expected an array of stats/);
+  assert.throws(() => binding._mergeData([], [{ value: 1 }]), /at least one stat item/);
+});